@@ -0,0 +1,149 @@
+import { ACCOUNT_IDLE_MINUTES, MAX_ACCOUNTS, POLL_SECONDS, SSE_HEARTBEAT_SECONDS } from "./config.js";
+import { platformToRegional } from "./riotApi.js";
+import { publish, sendEvent } from "./payload.js";
+import { PUBLISH } from "./publishDelay.js";
+import { refresh } from "./refresh.js";
+import { deliverWebhooks } from "./webhooks.js";
+
+export const ACCOUNTS = new Map();
+
+function accountKey(platform, gameName, tagLine) {
+  return `${platform}/${gameName}#${tagLine}`.toLowerCase();
+}
+
+export function createAccount({ platform, regional, gameName, tagLine, pinned = false }) {
+  const acc = {
+    key: accountKey(platform, gameName, tagLine),
+    platform: platform.toLowerCase(),
+    regional,
+    gameName,
+    tagLine,
+    pinned,
+    puuid: null,
+    notFound: false,
+    liveGameKept: false,
+    store: null,
+    ranks: null,
+    session: null,
+    cache: { updatedAt: 0, data: null, error: null, lastSuccessAt: 0, lastFailureAt: 0 },
+    events: [],
+    eventSeq: 0,
+    published: [],
+    webhooks: null,
+    webhookRun: null,
+    webhookSending: null,
+    clients: new Set(),
+    version: 0,
+    fingerprint: null,
+    timer: null,
+    ready: null,
+    refreshing: null,
+    lastRequestedAt: Date.now(),
+  };
+  ACCOUNTS.set(acc.key, acc);
+  acc.ready = refreshNow(acc);
+  schedulePolling(acc);
+  return acc;
+}
+
+/* runtime polling state, changed through the admin API */
+export const POLLING = { seconds: POLL_SECONDS, paused: false };
+
+export function schedulePolling(acc) {
+  clearInterval(acc.timer);
+  acc.timer = setInterval(() => {
+    if (!POLLING.paused) refreshNow(acc);
+  }, POLLING.seconds * 1000);
+}
+
+/* one refresh per account at a time; callers during a running refresh share it */
+export function refreshNow(acc) {
+  if (!acc.refreshing) {
+    acc.refreshing = refresh(acc).finally(() => {
+      acc.refreshing = null;
+      if (acc.notFound && !acc.pinned) forgetUnknownAccount(acc);
+    });
+  }
+  return acc.refreshing;
+}
+
+/*
+  Riot IDs account-v1 answered 404 for are dropped right away and not looked up
+  again for UNKNOWN_RIOT_ID_MINUTES, so made-up names cannot hold account slots
+  or spend the API budget on every poll.
+*/
+const UNKNOWN_RIOT_ID_MINUTES = 10;
+const UNKNOWN_RIOT_IDS = new Map();
+
+function forgetUnknownAccount(acc) {
+  const now = Date.now();
+  for (const [key, at] of UNKNOWN_RIOT_IDS) {
+    if (now - at > UNKNOWN_RIOT_ID_MINUTES * 60 * 1000) UNKNOWN_RIOT_IDS.delete(key);
+  }
+  UNKNOWN_RIOT_IDS.set(acc.key, now);
+  dropAccount(acc);
+}
+
+function isUnknownRiotId(key) {
+  const at = UNKNOWN_RIOT_IDS.get(key);
+  return at !== undefined && Date.now() - at <= UNKNOWN_RIOT_ID_MINUTES * 60 * 1000;
+}
+
+/*
+  MAX_ACCOUNTS counts accounts whose Riot ID resolved; the ones still waiting
+  for their first lookup have a limit of the same size on their own.
+*/
+function hasRoomForAccount() {
+  const resolved = [...ACCOUNTS.values()].filter((a) => a.puuid).length;
+  return resolved < MAX_ACCOUNTS && ACCOUNTS.size - resolved < MAX_ACCOUNTS;
+}
+
+export function dropAccount(acc) {
+  clearInterval(acc.timer);
+  for (const client of acc.clients) client.res.end();
+  ACCOUNTS.delete(acc.key);
+}
+
+/* returns null when the platform or the Riot ID is unknown, or the account limit is reached */
+export function getOrCreateAccount(platform, gameName, tagLine) {
+  const key = accountKey(platform, gameName, tagLine);
+  let acc = ACCOUNTS.get(key);
+  if (!acc) {
+    const regional = platformToRegional(platform);
+    if (!regional || isUnknownRiotId(key) || !hasRoomForAccount()) return null;
+    acc = createAccount({ platform, regional, gameName, tagLine });
+  }
+  acc.lastRequestedAt = Date.now();
+  return acc;
+}
+
+/* background timers shared by all accounts; started once by server.js */
+export function startHousekeeping() {
+  // accounts nobody asked for in ACCOUNT_IDLE_MINUTES stop polling
+  setInterval(() => {
+    const idleMs = ACCOUNT_IDLE_MINUTES * 60 * 1000;
+    const now = Date.now();
+    for (const acc of ACCOUNTS.values()) {
+      if (acc.clients.size) acc.lastRequestedAt = now; // an open stream counts as a viewer
+      else if (!acc.pinned && now - acc.lastRequestedAt > idleMs) dropAccount(acc);
+    }
+  }, 60 * 1000);
+
+  // named event instead of an SSE comment, so the page can notice a dead stream
+  setInterval(() => {
+    for (const acc of ACCOUNTS.values()) {
+      for (const client of acc.clients) sendEvent(client.res, "ping", { t: Date.now() });
+    }
+  }, SSE_HEARTBEAT_SECONDS * 1000);
+
+  // the delayed state moves forward on its own, also while polling is paused
+  setInterval(() => {
+    if (!PUBLISH.delayed) return;
+    for (const acc of ACCOUNTS.values()) publish(acc);
+  }, 30 * 1000);
+
+  // webhook retries, and deliveries left pending by the previous run
+  setInterval(() => {
+    for (const acc of ACCOUNTS.values()) if (acc.pinned) deliverWebhooks(acc);
+  }, 15 * 1000);
+}
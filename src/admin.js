@@ -0,0 +1,346 @@
+import crypto from "node:crypto";
+import express from "express";
+import { ADMIN_TOKEN, MATCH_STORE_LIMIT, PUBLISH_DELAY_MAX_MINUTES, SESSION_MODES, isValidTimeZone } from "./config.js";
+import { SESSION_SETTINGS, parseTimestamp, setSessionBaseline } from "./session.js";
+import { publish, widgetPayload } from "./payload.js";
+import { PUBLISH } from "./publishDelay.js";
+import { ACCOUNTS, POLLING, refreshNow, schedulePolling } from "./accounts.js";
+import { WEBHOOKS } from "./webhooks.js";
+
+/*
+  /admin is a small control page; it calls /admin/api/* with the token the
+  streamer pastes in (kept in localStorage). Endpoints act on the default
+  account unless ?account=<platform/gameName#tagLine> names another tracked one.
+*/
+function tokenMatches(given) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(ADMIN_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ ok: false, error: "Admin API disabled (set ADMIN_TOKEN)." });
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  if (!m || !tokenMatches(m[1].trim())) return res.status(401).json({ ok: false, error: "Invalid admin token." });
+  next();
+}
+
+function adminAccount(req, res, defaultAccount) {
+  const key = req.query.account ? String(req.query.account).toLowerCase() : defaultAccount.key;
+  const acc = ACCOUNTS.get(key);
+  if (!acc) res.status(404).json({ ok: false, error: `Account not tracked: ${key}` });
+  return acc;
+}
+
+function adminStatus() {
+  return {
+    ok: true,
+    polling: POLLING,
+    session: SESSION_SETTINGS,
+    publish: PUBLISH,
+    accounts: [...ACCOUNTS.values()].map((acc) => ({
+      key: acc.key,
+      riotId: `${acc.gameName}#${acc.tagLine}`,
+      pinned: acc.pinned,
+      updatedAt: acc.cache.updatedAt,
+      error: acc.cache.error,
+      sessionBaseline: acc.session?.baseline ?? null,
+      streamClients: acc.clients.size,
+    })),
+  };
+}
+
+/* validates a partial settings patch; returns an error string or null */
+function applySettings(body) {
+  const next = { polling: { ...POLLING }, session: { ...SESSION_SETTINGS }, publish: { ...PUBLISH } };
+
+  if (body.pollSeconds !== undefined) {
+    const n = Number(body.pollSeconds);
+    if (!Number.isInteger(n) || n < 30 || n > 3600) return "pollSeconds must be an integer between 30 and 3600.";
+    next.polling.seconds = n;
+  }
+
+  if (body.publishDelayMinutes !== undefined) {
+    const n = Number(body.publishDelayMinutes);
+    if (!(n >= 1 && n <= PUBLISH_DELAY_MAX_MINUTES)) {
+      return `publishDelayMinutes must be between 1 and ${PUBLISH_DELAY_MAX_MINUTES}.`;
+    }
+    next.publish.delayMinutes = n;
+  }
+
+  const session = body.session || {};
+  if (session.mode !== undefined) {
+    if (!SESSION_MODES.includes(session.mode)) return `session.mode must be one of ${SESSION_MODES.join(", ")}.`;
+    next.session.mode = session.mode;
+  }
+  if (session.gapMinutes !== undefined) {
+    const n = Number(session.gapMinutes);
+    if (!(n >= 1 && n <= 24 * 60)) return "session.gapMinutes must be between 1 and 1440.";
+    next.session.gapMinutes = n;
+  }
+  if (session.games !== undefined) {
+    const n = Number(session.games);
+    if (!Number.isInteger(n) || n < 1 || n > MATCH_STORE_LIMIT) {
+      return `session.games must be an integer between 1 and ${MATCH_STORE_LIMIT}.`;
+    }
+    next.session.games = n;
+  }
+  if (session.timeZone !== undefined) {
+    if (!isValidTimeZone(session.timeZone)) return `Unknown time zone: ${session.timeZone}`;
+    next.session.timeZone = session.timeZone;
+  }
+
+  const pollChanged = next.polling.seconds !== POLLING.seconds;
+  Object.assign(POLLING, next.polling);
+  Object.assign(SESSION_SETTINGS, next.session);
+  Object.assign(PUBLISH, next.publish);
+  if (pollChanged) for (const acc of ACCOUNTS.values()) schedulePolling(acc);
+  return null;
+}
+
+/* Express 4 does not catch rejected promises: hand them to the error handler below */
+function asyncRoute(handler) {
+  return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+/* /admin/api routes; `defaultAccount` is used when no ?account= is given */
+export function createAdminApi(defaultAccount) {
+  const api = express.Router();
+  api.use(requireAdmin, express.json());
+
+  api.get("/status", (_req, res) => res.json(adminStatus()));
+
+  api.post(
+    "/refresh",
+    asyncRoute(async (req, res) => {
+      const acc = adminAccount(req, res, defaultAccount);
+      if (!acc) return;
+      await refreshNow(acc);
+      res.json(widgetPayload(acc));
+    })
+  );
+
+  // body: { at?: epoch ms | ISO date | null } - defaults to now, null clears the reset
+  api.post(
+    "/session/reset",
+    asyncRoute(async (req, res) => {
+      const acc = adminAccount(req, res, defaultAccount);
+      if (!acc) return;
+      const given = req.body?.at;
+      const at = given === null ? null : given === undefined ? Date.now() : parseTimestamp(given);
+      if (at === null && given !== null) {
+        return res.status(400).json({ ok: false, error: "at must be epoch ms, an ISO date or null." });
+      }
+      await setSessionBaseline(acc, at);
+      await refreshNow(acc);
+      res.json({ ok: true, baseline: at, session: acc.cache.data?.session ?? null });
+    })
+  );
+
+  api.post("/polling/pause", (_req, res) => {
+    POLLING.paused = true;
+    res.json({ ok: true, polling: POLLING });
+  });
+
+  api.post("/polling/resume", (_req, res) => {
+    POLLING.paused = false;
+    res.json({ ok: true, polling: POLLING });
+  });
+
+  // the stream clients get the delayed (or live) state right away
+  api.post("/publish-delay/on", (_req, res) => {
+    PUBLISH.delayed = true;
+    for (const acc of ACCOUNTS.values()) publish(acc);
+    res.json({ ok: true, publish: PUBLISH });
+  });
+
+  api.post("/publish-delay/off", (_req, res) => {
+    PUBLISH.delayed = false;
+    for (const acc of ACCOUNTS.values()) publish(acc);
+    res.json({ ok: true, publish: PUBLISH });
+  });
+
+  // configured webhooks (without their secrets) and the account's delivery log, newest first
+  api.get("/webhooks", (req, res) => {
+    const acc = adminAccount(req, res, defaultAccount);
+    if (!acc) return;
+    res.json({
+      ok: true,
+      webhooks: WEBHOOKS.map(({ secret, ...hook }) => ({ ...hook, signed: !!secret })),
+      deliveries: [...(acc.webhooks?.deliveries ?? [])].reverse(),
+    });
+  });
+
+  // body: { pollSeconds?, publishDelayMinutes?, session?: { mode?, gapMinutes?, games?, timeZone? } }
+  api.patch(
+    "/settings",
+    asyncRoute(async (req, res) => {
+      const error = applySettings(req.body || {});
+      if (error) return res.status(400).json({ ok: false, error });
+      // session rules changed: recompute every account right away
+      await Promise.all([...ACCOUNTS.values()].map(refreshNow));
+      res.json(adminStatus());
+    })
+  );
+
+  // four arguments: that is how Express tells an error handler apart
+  api.use((err, _req, res, _next) => {
+    // client errors keep their status, e.g. the 400 body-parser sets for malformed JSON
+    const status = err?.status >= 400 && err?.status < 500 ? err.status : 500;
+    if (status === 500) console.warn(`Admin API error: ${err?.message || err}`);
+    res.status(status).json({ ok: false, error: String(err?.message || err) });
+  });
+
+  return api;
+}
+
+export function adminHtml() {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>LoL Widget · Admin</title>
+<style>
+  html,body{margin:0;background:#0e0e10;font-family:Inter,system-ui,Segoe UI,Arial;color:rgba(255,255,255,0.92);}
+  main{max-width:720px;margin:0 auto;padding:24px 16px;}
+  h1{font-size:20px;margin:0 0 16px;}
+  h2{font-size:13px;letter-spacing:.14em;text-transform:uppercase;color:rgba(255,255,255,0.56);margin:24px 0 10px;}
+  section{background:#18181b;border:1px solid rgba(255,255,255,0.10);border-radius:12px;padding:14px;}
+  label{display:block;font-size:12px;color:rgba(255,255,255,0.60);margin:8px 0 4px;}
+  input,select{width:100%;box-sizing:border-box;background:#0e0e10;color:inherit;border:1px solid rgba(255,255,255,0.16);border-radius:8px;padding:8px;font:inherit;}
+  button{background:rgba(255,70,70,0.90);color:#fff;border:0;border-radius:8px;padding:8px 14px;font-weight:700;cursor:pointer;margin:8px 8px 0 0;}
+  button.secondary{background:rgba(255,255,255,0.12);}
+  .row{display:flex;gap:12px;}
+  .row > div{flex:1;}
+  pre{white-space:pre-wrap;font-size:12px;color:rgba(255,255,255,0.72);margin:0;}
+  #msg{min-height:18px;font-size:13px;margin-top:12px;}
+  .bad{color:rgba(255,120,120,0.95);}
+  .good{color:rgba(78,255,155,0.95);}
+</style>
+</head>
+<body>
+<main>
+  <h1>LoL Widget · Admin</h1>
+
+  <section>
+    <label for="token">Admin token</label>
+    <input id="token" type="password" autocomplete="off"/>
+    <label for="account">Account</label>
+    <select id="account"></select>
+    <button id="save" class="secondary">Connect</button>
+  </section>
+
+  <h2>Controls</h2>
+  <section>
+    <button data-post="/refresh">Refresh now</button>
+    <button data-post="/session/reset">Reset session</button>
+    <button data-post="/polling/pause" class="secondary">Pause polling</button>
+    <button data-post="/polling/resume" class="secondary">Resume polling</button>
+    <button data-post="/publish-delay/on" class="secondary">Delay on</button>
+    <button data-post="/publish-delay/off" class="secondary">Delay off</button>
+  </section>
+
+  <h2>Settings</h2>
+  <section>
+    <div class="row">
+      <div><label for="pollSeconds">Poll interval (s)</label><input id="pollSeconds" type="number" min="30" max="3600"/></div>
+      <div><label for="publishDelayMinutes">Publish delay (min)</label>
+        <input id="publishDelayMinutes" type="number" min="1" max="${PUBLISH_DELAY_MAX_MINUTES}"/></div>
+      <div><label for="mode">Session mode</label>
+        <select id="mode">${SESSION_MODES.map((m) => `<option>${m}</option>`).join("")}</select></div>
+    </div>
+    <div class="row">
+      <div><label for="gapMinutes">Gap (min)</label><input id="gapMinutes" type="number" min="1"/></div>
+      <div><label for="games">Games</label><input id="games" type="number" min="1"/></div>
+      <div><label for="timeZone">Time zone</label><input id="timeZone"/></div>
+    </div>
+    <button id="apply">Apply settings</button>
+  </section>
+
+  <div id="msg"></div>
+
+  <h2>Status</h2>
+  <section><pre id="status">—</pre></section>
+</main>
+
+<script>
+  const $ = (id) => document.getElementById(id);
+  $("token").value = localStorage.getItem("adminToken") || "";
+
+  function say(text, ok){
+    $("msg").textContent = text;
+    $("msg").className = ok ? "good" : "bad";
+  }
+
+  async function api(method, path, body){
+    const account = $("account").value;
+    const qs = account ? "?account=" + encodeURIComponent(account) : "";
+    const r = await fetch("/admin/api" + path + qs, {
+      method,
+      headers: { "Authorization": "Bearer " + $("token").value, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const d = await r.json().catch(() => ({ ok:false, error:"HTTP " + r.status }));
+    if (!r.ok || d.ok === false) throw new Error(d.error || ("HTTP " + r.status));
+    return d;
+  }
+
+  async function loadStatus(){
+    const d = await api("GET", "/status");
+    const selected = $("account").value;
+    $("account").innerHTML = "";
+    d.accounts.forEach(a => {
+      const o = document.createElement("option");
+      o.value = a.key;
+      o.textContent = a.riotId + (a.pinned ? " (default)" : "");
+      $("account").appendChild(o);
+    });
+    if (selected) $("account").value = selected;
+
+    $("pollSeconds").value = d.polling.seconds;
+    $("publishDelayMinutes").value = d.publish.delayMinutes;
+    $("mode").value = d.session.mode;
+    $("gapMinutes").value = d.session.gapMinutes;
+    $("games").value = d.session.games;
+    $("timeZone").value = d.session.timeZone;
+    $("status").textContent = JSON.stringify(d, null, 2);
+  }
+
+  $("save").onclick = async () => {
+    localStorage.setItem("adminToken", $("token").value);
+    try { await loadStatus(); say("Connected.", true); } catch (e) { say(e.message, false); }
+  };
+
+  document.querySelectorAll("[data-post]").forEach(btn => {
+    btn.onclick = async () => {
+      try {
+        await api("POST", btn.dataset.post);
+        await loadStatus();
+        say(btn.textContent + ": done.", true);
+      } catch (e) { say(e.message, false); }
+    };
+  });
+
+  $("apply").onclick = async () => {
+    try {
+      await api("PATCH", "/settings", {
+        pollSeconds: Number($("pollSeconds").value),
+        publishDelayMinutes: Number($("publishDelayMinutes").value),
+        session: {
+          mode: $("mode").value,
+          gapMinutes: Number($("gapMinutes").value),
+          games: Number($("games").value),
+          timeZone: $("timeZone").value,
+        },
+      });
+      await loadStatus();
+      say("Settings applied.", true);
+    } catch (e) { say(e.message, false); }
+  };
+
+  if ($("token").value) loadStatus().catch(e => say(e.message, false));
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,277 @@
+import { RIOT_RANK_QUEUE, RIOT_SESSION_QUEUES, SESSION_GAP_MINUTES } from "./config.js";
+import { champIconUrl, championNameById } from "./ddragon.js";
+
+const QUEUE_NAMES = {
+  400: "Normal Draft",
+  420: "Ranked Solo/Duo",
+  430: "Normal Blind",
+  440: "Ranked Flex",
+  450: "ARAM",
+  490: "Quickplay",
+  700: "Clash",
+  900: "URF",
+  1700: "Arena",
+};
+
+export function queueName(queueId) {
+  return QUEUE_NAMES[queueId] || (queueId ? `Queue ${queueId}` : "Custom");
+}
+
+export function pickRank(entries, queue = RIOT_RANK_QUEUE) {
+  const e = (entries || []).find((x) => x.queueType === queue);
+  if (!e) return { queue, tier: "UNRANKED", rank: "", lp: 0, wins: 0, losses: 0 };
+  return { queue, tier: e.tier, rank: e.rank, lp: e.leaguePoints, wins: e.wins, losses: e.losses };
+}
+
+/* every queue in the league entries, RIOT_RANK_QUEUE first even when unranked */
+export function pickRanks(entries) {
+  const queues = new Set([RIOT_RANK_QUEUE, ...(entries || []).map((e) => e.queueType)]);
+  return [...queues].map((q) => pickRank(entries, q));
+}
+
+export const RANK_QUEUE_LABELS = { RANKED_SOLO_5x5: "Solo/Duo", RANKED_FLEX_SR: "Flex" };
+
+function parseQueueIds(value) {
+  if (String(value).trim().toLowerCase() === "all") return null;
+  return new Set(
+    String(value)
+      .split(",")
+      .map((x) => Number(x.trim()))
+      .filter(Number.isInteger)
+  );
+}
+
+export const SESSION_QUEUE_IDS = parseQueueIds(RIOT_SESSION_QUEUES);
+
+/* matches stored before queueId was extracted are kept */
+export function inSessionQueues(part) {
+  return !SESSION_QUEUE_IDS || part.queueId == null || SESSION_QUEUE_IDS.has(part.queueId);
+}
+
+export const RANK_QUEUE_IDS = { RANKED_SOLO_5x5: 420, RANKED_FLEX_SR: 440 };
+
+/*
+  LP on one continuous scale: 400 per tier below Master, 100 per division.
+  Master, Grandmaster and Challenger share one ladder without divisions.
+  EMERALD I 80 -> 2380, DIAMOND IV 10 -> 2410.
+*/
+export const TIER_ORDER = ["IRON", "BRONZE", "SILVER", "GOLD", "PLATINUM", "EMERALD", "DIAMOND"];
+export const APEX_TIERS = ["MASTER", "GRANDMASTER", "CHALLENGER"];
+export const DIVISION_ORDER = ["IV", "III", "II", "I"];
+
+export function isApexTier(tier) {
+  return APEX_TIERS.includes((tier || "").toUpperCase());
+}
+
+export function lpValue({ tier, rank, lp }) {
+  const t = (tier || "").toUpperCase();
+  if (isApexTier(t)) return TIER_ORDER.length * 400 + (lp ?? 0);
+  const ti = TIER_ORDER.indexOf(t);
+  if (ti < 0) return null; // UNRANKED
+  const di = Math.max(0, DIVISION_ORDER.indexOf(rank));
+  return ti * 400 + di * 100 + (lp ?? 0);
+}
+
+export function lpDiff(from, to) {
+  const a = lpValue(from);
+  const b = lpValue(to);
+  return a === null || b === null ? null : b - a;
+}
+
+export function pctInt(w, g) {
+  if (!g) return 0;
+  return Math.round((w / g) * 100);
+}
+
+export function extractParticipant(match, puuid) {
+  const info = match?.info;
+  const p = info?.participants?.find((x) => x.puuid === puuid);
+  if (!p) return null;
+
+  const team = info.participants.filter((x) => x.teamId === p.teamId);
+  const teamKills = team.reduce((sum, x) => sum + (x.kills ?? 0), 0);
+  const teamDamage = team.reduce((sum, x) => sum + (x.totalDamageDealtToChampions ?? 0), 0);
+  // gameDuration is seconds in matches with gameEndTimestamp, milliseconds in older ones
+  const duration = info.gameEndTimestamp ? info.gameDuration ?? 0 : Math.round((info.gameDuration ?? 0) / 1000);
+  const cs = (p.totalMinionsKilled ?? 0) + (p.neutralMinionsKilled ?? 0);
+  const damage = p.totalDamageDealtToChampions ?? 0;
+
+  return {
+    matchId: match?.metadata?.matchId ?? null,
+    queueId: info?.queueId ?? null,
+    championId: p.championId ?? null,
+    championName: p.championName,
+    win: !!p.win,
+    kills: p.kills ?? 0,
+    deaths: p.deaths ?? 0,
+    assists: p.assists ?? 0,
+    position: [p.teamPosition, p.individualPosition].find((x) => x && x !== "Invalid") ?? null,
+    cs,
+    csPerMin: duration ? Math.round((cs / (duration / 60)) * 10) / 10 : null,
+    damage,
+    damageShare: teamDamage ? pctInt(damage, teamDamage) : null,
+    killParticipation: teamKills ? pctInt((p.kills ?? 0) + (p.assists ?? 0), teamKills) : null,
+    visionScore: p.visionScore ?? 0,
+    items: [0, 1, 2, 3, 4, 5, 6].map((i) => p[`item${i}`]).filter(Boolean),
+    spells: [p.summoner1Id, p.summoner2Id].filter(Boolean),
+    profileIcon: p.profileIcon ?? null,
+    duration,
+    // remake: the game ended in an early surrender vote, it counts neither as a win nor a loss
+    remake: !!p.gameEndedInEarlySurrender,
+    earlySurrender: !!p.teamEarlySurrendered,
+    surrender: !!p.gameEndedInSurrender,
+    gameStart: info?.gameStartTimestamp ?? null,
+    gameEnd: info?.gameEndTimestamp ?? null,
+  };
+}
+
+function sortedGames(matchParts) {
+  return matchParts
+    .filter((x) => x && typeof x.gameStart === "number" && typeof x.gameEnd === "number")
+    .sort((a, b) => b.gameStart - a.gameStart);
+}
+
+/* remakes are listed in the session but left out of W/L and KDA */
+export function summarizeSession(session) {
+  const played = session.filter((m) => !m.remake);
+  let wins = 0,
+    losses = 0,
+    k = 0,
+    d = 0,
+    a = 0;
+  for (const m of played) {
+    if (m.win) wins++;
+    else losses++;
+    k += m.kills;
+    d += m.deaths;
+    a += m.assists;
+  }
+
+  const kda = ((k + a) / Math.max(1, d)).toFixed(1);
+  return {
+    wins,
+    losses,
+    games: wins + losses,
+    kda,
+    kills: k,
+    deaths: d,
+    assists: a,
+    remakes: session.length - played.length,
+    matchIds: played.map((m) => m.matchId),
+    since: session.length ? session[session.length - 1].gameStart : null,
+  };
+}
+
+export function computeSessionByGap(matchParts, gapMinutes = SESSION_GAP_MINUTES) {
+  const gapMs = gapMinutes * 60 * 1000;
+  const items = sortedGames(matchParts);
+
+  let cutoff = items.length;
+  for (let i = 0; i < items.length - 1; i++) {
+    const newer = items[i];
+    const older = items[i + 1];
+    const gap = newer.gameStart - older.gameEnd;
+    if (gap > gapMs) {
+      cutoff = i + 1;
+      break;
+    }
+  }
+
+  return summarizeSession(items.slice(0, cutoff));
+}
+
+/* epoch ms of the last local midnight in `timeZone` */
+export function startOfDay(now, timeZone) {
+  const offsetAt = (t) => {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      })
+        .formatToParts(t)
+        .map((p) => [p.type, Number(p.value)])
+    );
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return { parts, offset: local - Math.floor(t / 1000) * 1000 };
+  };
+
+  const { parts, offset } = offsetAt(now);
+  const midnightUtc = Date.UTC(parts.year, parts.month - 1, parts.day);
+  // the offset at midnight can differ from the current one on DST days
+  return midnightUtc - offsetAt(midnightUtc - offset).offset;
+}
+
+/*
+  session per settings.mode; `state.startedAt` is the stream start for "stream"
+  mode and `state.baseline` (set by a manual reset) hides older games in every mode
+*/
+export function computeSession(matchParts, settings, state = {}) {
+  if (state.baseline) matchParts = matchParts.filter((m) => m.gameStart >= state.baseline);
+  switch (settings.mode) {
+    case "stream":
+      return summarizeSession(sortedGames(matchParts).filter((m) => m.gameStart >= state.startedAt));
+    case "day": {
+      const since = startOfDay(Date.now(), settings.timeZone);
+      return summarizeSession(sortedGames(matchParts).filter((m) => m.gameStart >= since));
+    }
+    case "games":
+      return summarizeSession(
+        sortedGames(matchParts)
+          .filter((m) => !m.remake)
+          .slice(0, settings.games)
+      );
+    default:
+      return computeSessionByGap(matchParts, settings.gapMinutes);
+  }
+}
+
+function liveChampion(p) {
+  const championName = championNameById(p.championId);
+  return {
+    championId: p.championId,
+    championName,
+    championIcon: champIconUrl(p.championId),
+  };
+}
+
+export function summarizeLiveGame(game, puuid) {
+  if (!game) return null;
+  const participants = game.participants || [];
+  const me = participants.find((p) => p.puuid === puuid);
+  if (!me) return null;
+
+  // gameStartTime is 0 during the loading screen
+  const gameStart = game.gameStartTime || null;
+  return {
+    gameId: game.gameId,
+    queueId: game.gameQueueConfigId ?? null,
+    queue: queueName(game.gameQueueConfigId),
+    ...liveChampion(me),
+    teamId: me.teamId,
+    gameStart,
+    gameLength: gameStart ? Math.max(0, Math.round((Date.now() - gameStart) / 1000)) : 0,
+    teams: {
+      blue: participants.filter((p) => p.teamId === 100).map(liveChampion),
+      red: participants.filter((p) => p.teamId === 200).map(liveChampion),
+    },
+  };
+}
+
+/* rank badges: bundled in assets/emblems, one per tier */
+export function badgeForTier(tier) {
+  const t = (tier || "").toUpperCase();
+  if (TIER_ORDER.includes(t) || isApexTier(t)) return `/assets/emblems/${t.toLowerCase()}.svg`;
+  return "/assets/emblems/unranked.svg";
+}
+
+/* apex tiers have a single division, so "MASTER I" is just "MASTER" */
+export function rankDisplay(rank) {
+  if (rank.tier === "UNRANKED") return "UNRANKED";
+  return isApexTier(rank.tier) ? rank.tier : `${rank.tier} ${rank.rank}`;
+}
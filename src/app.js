@@ -0,0 +1,123 @@
+import path from "node:path";
+import express from "express";
+import { ASSETS_DIR } from "./config.js";
+import { openEventStream, payloadOptions, widgetPayload } from "./payload.js";
+import { getOrCreateAccount } from "./accounts.js";
+import { sendWidgetText } from "./text.js";
+import { sendMatchesExport, sendSessionExport } from "./export.js";
+import { sendRankHistory } from "./history.js";
+import { resolveLayout } from "./layout.js";
+import { adminHtml, createAdminApi } from "./admin.js";
+import { healthStatus, readiness } from "./health.js";
+import { renderMetrics } from "./metrics.js";
+import { sendAsset } from "./assets.js";
+import { widgetHtml } from "./widgetHtml.js";
+
+function sendWidgetJson(req, res, acc) {
+  res.setHeader("Cache-Control", "no-store");
+  res.json(widgetPayload(acc, payloadOptions(req.query)));
+}
+
+async function sendWidgetHtml(req, res, basePath) {
+  const { layout, locale, warnings } = await resolveLayout(req.query);
+  const qs = `?history=${layout.history}`;
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  res.end(
+    widgetHtml({ jsonUrl: `${basePath}.json${qs}`, eventsUrl: `${basePath}/events${qs}`, layout, locale, warnings })
+  );
+}
+
+async function accountFromParams(req, res) {
+  const { platform, gameName, tagLine } = req.params;
+  const acc = getOrCreateAccount(platform, gameName, tagLine);
+  if (!acc) {
+    res.status(404).json({ ok: false, error: `Unknown platform or Riot ID, or too many accounts: ${platform}` });
+    return null;
+  }
+  await acc.ready;
+  if (acc.notFound) {
+    res.status(404).json({ ok: false, error: `Riot ID not found: ${gameName}#${tagLine}` });
+    return null;
+  }
+  return acc;
+}
+
+function accountPath(acc) {
+  return `/widget/${encodeURIComponent(acc.platform)}/${encodeURIComponent(acc.gameName)}/${encodeURIComponent(
+    acc.tagLine
+  )}`;
+}
+
+export function createApp({ defaultAccount }) {
+  const app = express();
+
+  app.get("/", (_req, res) => res.redirect("/widget"));
+
+  app.use("/assets/emblems", express.static(path.join(ASSETS_DIR, "emblems"), { maxAge: "7d" }));
+
+  app.get("/assets/:kind/:id.png", sendAsset);
+
+  app.get("/healthz", (_req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+    res.json(healthStatus());
+  });
+
+  app.get("/readyz", (_req, res) => {
+    const status = readiness(defaultAccount);
+    res.setHeader("Cache-Control", "no-store");
+    res.status(status.ready ? 200 : 503).json(status);
+  });
+
+  app.get("/metrics", (_req, res) => {
+    res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.end(renderMetrics());
+  });
+
+  app.use("/admin/api", createAdminApi(defaultAccount));
+
+  app.get("/admin", (_req, res) => {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.end(adminHtml());
+  });
+
+  app.get("/widget.json", (req, res) => sendWidgetJson(req, res, defaultAccount));
+
+  app.get("/widget.txt", (req, res) => sendWidgetText(req, res, defaultAccount));
+
+  app.get("/widget/events", (req, res) => openEventStream(req, res, defaultAccount));
+
+  app.get("/widget", (req, res, next) => sendWidgetHtml(req, res, "/widget").catch(next));
+
+  app.get("/export/session", (req, res) => sendSessionExport(req, res, defaultAccount));
+
+  app.get("/export/matches", (req, res) => sendMatchesExport(req, res, defaultAccount));
+
+  app.get("/history/rank", (req, res) => sendRankHistory(req, res, defaultAccount));
+
+  // .json/.txt first, otherwise ":tagLine" swallows the extension
+  app.get("/widget/:platform/:gameName/:tagLine.json", (req, res, next) => {
+    accountFromParams(req, res)
+      .then((acc) => acc && sendWidgetJson(req, res, acc))
+      .catch(next);
+  });
+
+  app.get("/widget/:platform/:gameName/:tagLine.txt", (req, res, next) => {
+    accountFromParams(req, res)
+      .then((acc) => acc && sendWidgetText(req, res, acc))
+      .catch(next);
+  });
+
+  app.get("/widget/:platform/:gameName/:tagLine/events", (req, res, next) => {
+    accountFromParams(req, res)
+      .then((acc) => acc && openEventStream(req, res, acc))
+      .catch(next);
+  });
+
+  app.get("/widget/:platform/:gameName/:tagLine", (req, res, next) => {
+    accountFromParams(req, res)
+      .then((acc) => acc && sendWidgetHtml(req, res, accountPath(acc)))
+      .catch(next);
+  });
+
+  return app;
+}
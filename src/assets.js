@@ -0,0 +1,77 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { ASSET_CACHE_DIR, PLACEHOLDER_ICON } from "./config.js";
+import { fetchUrl } from "./http.js";
+import { DDRAGON_CDN, DDRAGON_VERSION, ddragonImagePath, ensureDdragonVersion } from "./ddragon.js";
+import { writeFileAtomic } from "./storage.js";
+
+/*
+  /assets/<kind>/<id>.png: champion, item, summoner spell and profile icons from
+  DDragon, downloaded once by the server into ASSET_CACHE_DIR/<version>/ so the
+  browser source never depends on the CDN. Anything unknown or unavailable is
+  answered with the bundled placeholder instead of a broken image.
+*/
+export const ASSET_KINDS = ["champion", "item", "spell", "profileicon"];
+
+/*
+  A failed download is not retried for a while, a missing icon must not hit the
+  CDN on every render. Only manifest IDs get this far, which bounds MISSES; old
+  entries are pruned whenever a new one is added.
+*/
+const MISS_RETRY_MS = 10 * 60 * 1000;
+const MISSES = new Map();
+const DOWNLOADS = new Map();
+
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function download(url, file) {
+  try {
+    const r = await fetchUrl(url);
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    await writeFileAtomic(file, Buffer.from(await r.arrayBuffer()));
+    MISSES.delete(url);
+    return file;
+  } catch {
+    const now = Date.now();
+    for (const [missed, at] of MISSES) if (now - at >= MISS_RETRY_MS) MISSES.delete(missed);
+    MISSES.set(url, now);
+    return null;
+  }
+}
+
+/* path of the cached image, downloading it first if needed; null when there is none */
+export async function cachedAsset(kind, id) {
+  await ensureDdragonVersion();
+  const rel = ddragonImagePath(kind, id);
+  if (!rel) return null;
+
+  const file = path.join(ASSET_CACHE_DIR, DDRAGON_VERSION, rel);
+  if (await exists(file)) return file;
+
+  const url = `${DDRAGON_CDN}/${DDRAGON_VERSION}/img/${rel}`;
+  if (Date.now() - (MISSES.get(url) ?? 0) < MISS_RETRY_MS) return null;
+  // concurrent requests for the same icon share one download
+  let pending = DOWNLOADS.get(file);
+  if (!pending) {
+    pending = download(url, file).finally(() => DOWNLOADS.delete(file));
+    DOWNLOADS.set(file, pending);
+  }
+  return pending;
+}
+
+export async function sendAsset(req, res, next) {
+  const { kind, id } = req.params;
+  if (!ASSET_KINDS.includes(kind)) return next();
+
+  const file = await cachedAsset(kind, id);
+  // the placeholder is cached briefly so the real icon shows up once it is available
+  res.setHeader("Cache-Control", file ? "public, max-age=86400" : "public, max-age=300");
+  res.type("png").sendFile(file || PLACEHOLDER_ICON);
+}
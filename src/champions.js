@@ -0,0 +1,69 @@
+import { CHAMPION_STATS_MAX, RIOT_RANK_QUEUE, SEASON_START } from "./config.js";
+import { RANK_QUEUE_IDS, pctInt } from "./aggregate.js";
+import { champIconUrl, championDisplayName, championKey } from "./ddragon.js";
+import { parseTimestamp } from "./session.js";
+
+/* queue the champion stats cover; null (all queues) for a RIOT_RANK_QUEUE without a known queue ID */
+export const CHAMPION_STATS_QUEUE = RANK_QUEUE_IDS[RIOT_RANK_QUEUE] ?? null;
+
+/* epoch ms; SEASON_START or January 1st (UTC) of the current year */
+export function seasonStart(now = Date.now()) {
+  return parseTimestamp(SEASON_START) ?? Date.UTC(new Date(now).getUTCFullYear(), 0, 1);
+}
+
+/*
+  Per-champion games, winrate, average KDA and CS/min over the stored matches of
+  `queueId` since `since`. Remakes are left out like everywhere else. Matches
+  stored before championId was kept are grouped by name, which resolves to the
+  same DDragon id. Sorted by games played, then winrate.
+*/
+export function championStats(parts, { queueId = CHAMPION_STATS_QUEUE, since = seasonStart() } = {}) {
+  const byChampion = new Map();
+  for (const p of parts) {
+    if (p.remake || (p.gameStart ?? 0) < since) continue;
+    if (queueId !== null && p.queueId !== queueId) continue;
+    const key = championKey(p.championId ?? p.championName) || p.championName;
+    const c = byChampion.get(key) || { key, games: 0, wins: 0, kills: 0, deaths: 0, assists: 0, cs: 0, minutes: 0 };
+    c.games++;
+    if (p.win) c.wins++;
+    c.kills += p.kills;
+    c.deaths += p.deaths;
+    c.assists += p.assists;
+    // CS/min over the games that have the detailed stats
+    if (p.cs != null && p.duration) {
+      c.cs += p.cs;
+      c.minutes += p.duration / 60;
+    }
+    byChampion.set(key, c);
+  }
+
+  return [...byChampion.values()]
+    .map((c) => ({
+      championName: championDisplayName(c.key),
+      championIcon: champIconUrl(c.key),
+      games: c.games,
+      wins: c.wins,
+      losses: c.games - c.wins,
+      winrate: pctInt(c.wins, c.games),
+      kda: ((c.kills + c.assists) / Math.max(1, c.deaths)).toFixed(1),
+      kills: Math.round((c.kills / c.games) * 10) / 10,
+      deaths: Math.round((c.deaths / c.games) * 10) / 10,
+      assists: Math.round((c.assists / c.games) * 10) / 10,
+      csPerMin: c.minutes ? Math.round((c.cs / c.minutes) * 10) / 10 : null,
+    }))
+    .sort((a, b) => b.games - a.games || b.winrate - a.winrate);
+}
+
+/* the `champions` block of /widget.json */
+export function championSummary(acc, parts) {
+  const since = seasonStart();
+  const list = championStats(parts, { since });
+  return {
+    queueId: CHAMPION_STATS_QUEUE,
+    since,
+    games: list.reduce((sum, c) => sum + c.games, 0),
+    // false while older matches of the season are still being paged in
+    complete: !!acc.store.backfill?.done,
+    list: list.slice(0, CHAMPION_STATS_MAX),
+  };
+}
@@ -0,0 +1,148 @@
+import "dotenv/config";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+function requiredEnv(name) {
+  const v = process.env[name];
+  if (!v) throw new Error(`Missing required env var: ${name}`);
+  return v;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const PORT = Number(process.env.PORT || 8787);
+
+const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// static files shipped with the server (rank emblems)
+export const ASSETS_DIR = path.join(ROOT_DIR, "assets");
+
+/*
+  RIOT_BACKEND=mock answers the Riot and DDragon calls from the JSON fixtures in
+  MOCK_FIXTURES_DIR instead of the network (see mockBackend.js), so no API key
+  is needed; the Riot ID settings then default to the fixture account.
+*/
+const RIOT_BACKENDS = ["riot", "mock"];
+export const RIOT_BACKEND = process.env.RIOT_BACKEND || "riot";
+export const MOCK_FIXTURES_DIR = path.resolve(process.env.MOCK_FIXTURES_DIR || path.join(ROOT_DIR, "fixtures", "mock"));
+
+if (!RIOT_BACKENDS.includes(RIOT_BACKEND)) {
+  throw new Error(`Invalid RIOT_BACKEND: ${RIOT_BACKEND} (expected ${RIOT_BACKENDS.join(", ")})`);
+}
+
+function riotEnv(name, mockDefault) {
+  return RIOT_BACKEND === "mock" ? process.env[name] || mockDefault : requiredEnv(name);
+}
+
+export const RIOT_API_KEY = riotEnv("RIOT_API_KEY", "mock");
+export const RIOT_GAME_NAME = riotEnv("RIOT_GAME_NAME", "MockPlayer");
+export const RIOT_TAG_LINE = riotEnv("RIOT_TAG_LINE", "TEST");
+
+export const RIOT_PLATFORM_ROUTING = riotEnv("RIOT_PLATFORM_ROUTING", "euw1"); // euw1
+export const RIOT_REGIONAL_ROUTING = riotEnv("RIOT_REGIONAL_ROUTING", "europe"); // europe
+
+export const RIOT_RANK_QUEUE = process.env.RIOT_RANK_QUEUE || "RANKED_SOLO_5x5";
+// queueIds counted in session and match history (420 Solo/Duo, 440 Flex); "all" disables the filter
+export const RIOT_SESSION_QUEUES = process.env.RIOT_SESSION_QUEUES || "420,440";
+export const POLL_SECONDS = Number(process.env.POLL_SECONDS || 180);
+
+// bearer token for /admin/api; the admin API is off without it
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+// anti-stream-sniping: public outputs serve the state from this many minutes ago (PUBLISH_DELAY=1: on at start)
+export const PUBLISH_DELAY = process.env.PUBLISH_DELAY === "1";
+export const PUBLISH_DELAY_MINUTES = Number(process.env.PUBLISH_DELAY_MINUTES || 5);
+export const PUBLISH_DELAY_MAX_MINUTES = 60;
+export const SESSION_GAP_MINUTES = Number(process.env.SESSION_GAP_MINUTES || 60);
+
+/*
+  What counts as "the session":
+    gap    - games until the first break longer than SESSION_GAP_MINUTES
+    stream - games since the stream started (SESSION_STREAM_START, else server start)
+    day    - games since local midnight in SESSION_TIMEZONE
+    games  - the last SESSION_GAMES games
+*/
+export const SESSION_MODES = ["gap", "stream", "day", "games"];
+export const SESSION_MODE = process.env.SESSION_MODE || "gap";
+export const SESSION_TIMEZONE = process.env.SESSION_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+export const SESSION_GAMES = Number(process.env.SESSION_GAMES || 10);
+export const SESSION_STREAM_START = process.env.SESSION_STREAM_START || "";
+
+if (!SESSION_MODES.includes(SESSION_MODE)) {
+  throw new Error(`Invalid SESSION_MODE: ${SESSION_MODE} (expected ${SESSION_MODES.join(", ")})`);
+}
+if (!isValidTimeZone(SESSION_TIMEZONE)) throw new Error(`Invalid SESSION_TIMEZONE: ${SESSION_TIMEZONE}`);
+
+// extra accounts requested through /widget/:platform/:gameName/:tagLine
+export const ACCOUNT_IDLE_MINUTES = Number(process.env.ACCOUNT_IDLE_MINUTES || 30);
+export const MAX_ACCOUNTS = Number(process.env.MAX_ACCOUNTS || 20);
+
+// rate limits assumed before Riot reports the real ones (development key defaults)
+export const RIOT_APP_RATE_LIMIT = process.env.RIOT_APP_RATE_LIMIT || "20:1,100:120";
+export const RIOT_MAX_RETRIES = Number(process.env.RIOT_MAX_RETRIES || 3);
+
+// on-disk state (match store); kept across restarts
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || "data");
+export const MATCH_STORE_LIMIT = Number(process.env.MATCH_STORE_LIMIT || 500);
+// older ranked matches of the season are paged in this many per refresh, leaving rate limit for the live data
+export const MATCH_BACKFILL_PER_REFRESH = Number(process.env.MATCH_BACKFILL_PER_REFRESH || 10);
+
+// champion stats: ranked games since the season start (date or epoch ms; empty: January 1st UTC)
+export const SEASON_START = process.env.SEASON_START || "";
+export const CHAMPION_STATS_MAX = 10;
+
+// regional ladder position for Master+ (one extra league-v4 call per apex tier)
+export const LADDER_POSITION = process.env.RIOT_LADDER_POSITION === "1";
+export const LADDER_CACHE_MINUTES = Number(process.env.LADDER_CACHE_MINUTES || 30);
+
+// champion-mastery-v4: fetched again after a new match or at the latest after this long
+export const MASTERY_CACHE_MINUTES = Number(process.env.MASTERY_CACHE_MINUTES || 30);
+export const MASTERY_TOP_COUNT = 5;
+
+export const RANK_SNAPSHOT_LIMIT = Number(process.env.RANK_SNAPSHOT_LIMIT || 2000);
+
+// overlay alerts (match results, promotions, streaks)
+export const STREAK_MIN = Number(process.env.STREAK_MIN || 3);
+export const EVENT_KEEP_MINUTES = Number(process.env.EVENT_KEEP_MINUTES || 15);
+
+// /widget/events (Server-Sent Events)
+export const SSE_HEARTBEAT_SECONDS = Number(process.env.SSE_HEARTBEAT_SECONDS || 20);
+export const SSE_RETRY_MS = Number(process.env.SSE_RETRY_MS || 5000);
+
+// /readyz fails once the default account has no successful refresh this long (0: three poll intervals)
+export const READY_MAX_AGE_SECONDS = Number(process.env.READY_MAX_AGE_SECONDS || 0);
+
+// /assets/<kind>/<id>.png: DDragon images downloaded once and kept here, per DDragon version
+export const ASSET_CACHE_DIR = path.resolve(process.env.ASSET_CACHE_DIR || path.join(DATA_DIR, "assets"));
+export const PLACEHOLDER_ICON = path.join(ASSETS_DIR, "placeholder.png");
+
+// /widget layout options (query string or presets/<name>.json)
+export const PRESETS_DIR = path.resolve(process.env.PRESETS_DIR || path.join(ROOT_DIR, "presets"));
+
+// /widget?lang=<code>: locales/<code>.json, English fills in whatever a locale leaves out
+export const LOCALES_DIR = path.resolve(process.env.LOCALES_DIR || path.join(ROOT_DIR, "locales"));
+export const WIDGET_LANG = process.env.WIDGET_LANG || "en";
+
+/*
+  Outgoing webhooks for the default account, configured in WEBHOOKS_FILE (see
+  webhooks.js). Failed deliveries are retried WEBHOOK_MAX_ATTEMPTS times, waiting
+  WEBHOOK_RETRY_SECONDS and doubling after every attempt.
+*/
+export const WEBHOOKS_FILE = path.resolve(process.env.WEBHOOKS_FILE || "webhooks.json");
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+export const WEBHOOK_RETRY_SECONDS = Number(process.env.WEBHOOK_RETRY_SECONDS || 30);
+export const WEBHOOK_LOG_LIMIT = 200;
+
+// /widget.txt (chatbot commands): reply while the Riot data is unavailable
+export const TEXT_FALLBACK = process.env.TEXT_FALLBACK || "Stats are unavailable right now, try again in a bit.";
+
+export const HISTORY_COUNT = 10;
+export const HISTORY_MAX = 20;
+export const MATCH_FETCH_COUNT = 16;
@@ -0,0 +1,138 @@
+import { httpGetJson } from "./http.js";
+
+export const DDRAGON_CDN = "https://ddragon.leagueoflegends.com/cdn";
+
+export let DDRAGON_VERSION = "14.1.1";
+let lastDdragonCheck = 0;
+let lastManifestAttempt = 0;
+
+// the asset proxy serves nothing but manifest IDs: a failed manifest cannot wait for the next version check
+const MANIFEST_RETRY_MS = 60 * 1000;
+
+export async function ensureDdragonVersion() {
+  const now = Date.now();
+  if (now - lastDdragonCheck >= 12 * 60 * 60 * 1000) {
+    lastDdragonCheck = now;
+    try {
+      const versions = await httpGetJson("https://ddragon.leagueoflegends.com/api/versions.json");
+      if (Array.isArray(versions) && versions[0]) DDRAGON_VERSION = versions[0];
+    } catch {}
+  } else if (manifestsVersion === DDRAGON_VERSION || now - lastManifestAttempt < MANIFEST_RETRY_MS) {
+    return;
+  }
+  lastManifestAttempt = now;
+  await loadManifests();
+}
+
+/*
+  spectator-v5 only reports championId and match-v5 championName does not always
+  match the DDragon id ("FiddleSticks" vs "Fiddlesticks"), so champions resolve
+  through the manifest: numeric "key" -> id, and normalized id or display name -> id.
+  Summoner spells are numeric IDs in match-v5 but file names in DDragon. Item and
+  profile icon IDs are only kept to tell which images exist (see ddragonImagePath).
+*/
+let CHAMPIONS_BY_KEY = new Map();
+let CHAMPIONS_BY_NAME = new Map();
+let CHAMPION_DISPLAY_NAMES = new Map();
+let SPELLS_BY_KEY = new Map();
+let ITEM_IDS = new Set();
+let PROFILE_ICON_IDS = new Set();
+let manifestsVersion = null;
+
+function normalizeName(name) {
+  return String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+async function loadManifests() {
+  if (manifestsVersion === DDRAGON_VERSION) return;
+  const manifests = await Promise.allSettled(
+    ["champion", "summoner", "item", "profileicon"].map((name) =>
+      httpGetJson(`${DDRAGON_CDN}/${DDRAGON_VERSION}/data/en_US/${name}.json`)
+    )
+  );
+  const [champions, spells, items, profileIcons] = manifests;
+  if (champions.status === "fulfilled") {
+    const list = Object.values(champions.value?.data || {});
+    CHAMPIONS_BY_KEY = new Map(list.map((c) => [String(c.key), c.id]));
+    CHAMPION_DISPLAY_NAMES = new Map(list.map((c) => [c.id, c.name]));
+    CHAMPIONS_BY_NAME = new Map(
+      list.flatMap((c) => [
+        [normalizeName(c.name), c.id],
+        [normalizeName(c.id), c.id],
+      ])
+    );
+  }
+  if (spells.status === "fulfilled") {
+    SPELLS_BY_KEY = new Map(Object.values(spells.value?.data || {}).map((s) => [String(s.key), s.id]));
+  }
+  if (items.status === "fulfilled") ITEM_IDS = new Set(Object.keys(items.value?.data || {}));
+  if (profileIcons.status === "fulfilled") PROFILE_ICON_IDS = new Set(Object.keys(profileIcons.value?.data || {}));
+  // a failed manifest is retried after MANIFEST_RETRY_MS (see ensureDdragonVersion)
+  if (manifests.every((m) => m.status === "fulfilled")) manifestsVersion = DDRAGON_VERSION;
+}
+
+export function championNameById(championId) {
+  return CHAMPIONS_BY_KEY.get(String(championId)) || null;
+}
+
+/* DDragon id for a numeric champion ID, a DDragon id or a display name */
+export function championKey(idOrName) {
+  const s = String(idOrName ?? "");
+  if (/^\d+$/.test(s)) return CHAMPIONS_BY_KEY.get(s) || null;
+  // not in the manifest yet (new champion): the name is usually the id already
+  return CHAMPIONS_BY_NAME.get(normalizeName(s)) || (/^[A-Za-z0-9]+$/.test(s) ? s : null);
+}
+
+/* "MonkeyKing" -> "Wukong" */
+export function championDisplayName(idOrName) {
+  const key = championKey(idOrName);
+  return CHAMPION_DISPLAY_NAMES.get(key) || key || String(idOrName ?? "");
+}
+
+export function spellKey(idOrName) {
+  const s = String(idOrName ?? "");
+  if (/^\d+$/.test(s)) return SPELLS_BY_KEY.get(s) || null;
+  return /^Summoner\w+$/.test(s) ? s : null;
+}
+
+/*
+  file under <cdn>/<version>/img/ for an /assets/<kind>/<id>.png request, null when
+  it is not in the manifests: the asset proxy never asks the CDN for made-up IDs
+*/
+export function ddragonImagePath(kind, id) {
+  switch (kind) {
+    case "champion": {
+      const key = championKey(id);
+      return CHAMPION_DISPLAY_NAMES.has(key) ? `champion/${key}.png` : null;
+    }
+    case "spell": {
+      const key = spellKey(id);
+      return key && [...SPELLS_BY_KEY.values()].includes(key) ? `spell/${key}.png` : null;
+    }
+    case "item":
+      return ITEM_IDS.has(String(id)) ? `item/${id}.png` : null;
+    case "profileicon":
+      return PROFILE_ICON_IDS.has(String(id)) ? `profileicon/${id}.png` : null;
+    default:
+      return null;
+  }
+}
+
+/* local proxy URLs (see assets.js); champions prefer the numeric ID, the name also works */
+export function champIconUrl(championIdOrName) {
+  return `/assets/champion/${encodeURIComponent(championIdOrName)}.png`;
+}
+
+export function itemIconUrl(itemId) {
+  return `/assets/item/${itemId}.png`;
+}
+
+export function spellIconUrl(spellId) {
+  return `/assets/spell/${spellId}.png`;
+}
+
+export function profileIconUrl(iconId) {
+  return `/assets/profileicon/${iconId}.png`;
+}
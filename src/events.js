@@ -0,0 +1,93 @@
+import { EVENT_KEEP_MINUTES, HISTORY_COUNT, STREAK_MIN } from "./config.js";
+import { APEX_TIERS, DIVISION_ORDER, TIER_ORDER, isApexTier, lpDiff } from "./aggregate.js";
+import { lpDeltaForMatch } from "./rankHistory.js";
+
+/*
+  Compares the previous payload with the new one and returns typed events:
+  match_won, match_lost, lp_changed, division_promoted, tier_promoted,
+  demoted, win_streak, loss_streak.
+*/
+const TIER_LADDER = [...TIER_ORDER, ...APEX_TIERS];
+
+function rankEvents(prev, next) {
+  if (!prev || prev.queue !== next.queue || prev.tier === "UNRANKED" || next.tier === "UNRANKED") return [];
+
+  const events = [];
+  const lpDelta = lpDiff(prev, next);
+  if (lpDelta) events.push({ type: "lp_changed", queue: next.queue, lpDelta, lp: next.lp });
+
+  const change = {
+    queue: next.queue,
+    from: prev.display,
+    to: next.display,
+    fromTier: prev.tier,
+    fromRank: prev.rank,
+    tier: next.tier,
+    rank: next.rank,
+  };
+  const tierStep = TIER_LADDER.indexOf(next.tier) - TIER_LADDER.indexOf(prev.tier);
+  const divisionStep = isApexTier(next.tier)
+    ? 0
+    : DIVISION_ORDER.indexOf(next.rank) - DIVISION_ORDER.indexOf(prev.rank);
+  if (tierStep > 0) events.push({ type: "tier_promoted", ...change });
+  else if (tierStep < 0) events.push({ type: "demoted", ...change });
+  else if (divisionStep > 0) events.push({ type: "division_promoted", ...change });
+  else if (divisionStep < 0) events.push({ type: "demoted", ...change });
+  return events;
+}
+
+function currentStreak(parts) {
+  parts = parts.filter((p) => !p.remake);
+  if (!parts.length) return { win: false, count: 0 };
+  const win = parts[0].win;
+  let count = 0;
+  while (count < parts.length && parts[count].win === win) count++;
+  return { win, count };
+}
+
+export function detectEvents(prevData, nextData, parts, snapshots) {
+  if (!prevData) return []; // first refresh: nothing to compare against
+
+  const lastSeen = prevData.matchHistory?.lastN?.[0]?.matchId;
+  const fresh = [];
+  for (const p of parts) {
+    if (p.matchId === lastSeen || fresh.length >= HISTORY_COUNT) break;
+    fresh.push(p);
+  }
+
+  const events = fresh
+    .reverse()
+    .filter((p) => !p.remake)
+    .map((p) => ({
+      type: p.win ? "match_won" : "match_lost",
+      matchId: p.matchId,
+      championName: p.championName,
+      kills: p.kills,
+      deaths: p.deaths,
+      assists: p.assists,
+      lpDelta: lpDeltaForMatch(snapshots, p.matchId),
+    }));
+
+  for (const rank of nextData.ranks) {
+    events.push(
+      ...rankEvents(
+        (prevData.ranks || []).find((r) => r.queue === rank.queue),
+        rank
+      )
+    );
+  }
+
+  const streak = currentStreak(parts);
+  if (fresh.length && streak.count >= STREAK_MIN) {
+    events.push({ type: streak.win ? "win_streak" : "loss_streak", count: streak.count });
+  }
+  return events;
+}
+
+/* keeps the last EVENT_KEEP_MINUTES of events on the account */
+export function recordEvents(acc, events) {
+  const now = Date.now();
+  for (const ev of events) acc.events.push({ id: `${now}-${acc.eventSeq++}`, at: now, ...ev });
+  const keepMs = EVENT_KEEP_MINUTES * 60 * 1000;
+  acc.events = acc.events.filter((ev) => now - ev.at <= keepMs);
+}
@@ -0,0 +1,121 @@
+import { inSessionQueues, queueName } from "./aggregate.js";
+import { championDisplayName } from "./ddragon.js";
+import { storedMatches } from "./matchStore.js";
+import { publishedState } from "./publishDelay.js";
+import { lpDeltaForMatch } from "./rankHistory.js";
+import { parseTimestamp } from "./session.js";
+
+/*
+  /export/session and /export/matches: one row per stored game for post-stream
+  review, as JSON (default) or ?format=csv. Both go by the published state, so
+  with the publish delay on a game only shows once the overlay had it too.
+*/
+export const EXPORT_FORMATS = ["json", "csv"];
+const EXPORT_COLUMNS = [
+  "matchId",
+  "date",
+  "queueId",
+  "queue",
+  "champion",
+  "role",
+  "result",
+  "kills",
+  "deaths",
+  "assists",
+  "duration",
+  "lpDelta",
+];
+
+function exportRow(acc, p) {
+  return {
+    matchId: p.matchId,
+    date: p.gameStart ? new Date(p.gameStart).toISOString() : null,
+    queueId: p.queueId,
+    queue: queueName(p.queueId),
+    champion: championDisplayName(p.championId ?? p.championName),
+    role: p.position,
+    result: p.remake ? "remake" : p.win ? "win" : "loss",
+    kills: p.kills,
+    deaths: p.deaths,
+    assists: p.assists,
+    duration: p.duration,
+    // null until the game is linked to a rank snapshot (ranked queues only)
+    lpDelta: lpDeltaForMatch(acc.ranks.snapshots, p.matchId),
+  };
+}
+
+function csvValue(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS, ...rows.map((r) => EXPORT_COLUMNS.map((c) => r[c]))];
+  return lines.map((line) => line.map(csvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+/* the stored games the published state already covers, newest first; null before the first one */
+function publishedMatches(acc) {
+  const { data, at } = publishedState(acc);
+  if (!data || !acc.store) return null;
+  return { data, parts: storedMatches(acc.store).filter((p) => (p.gameEnd ?? 0) <= at) };
+}
+
+function sendExport(req, res, acc, name, select) {
+  res.setHeader("Cache-Control", "no-store");
+  const format = String(req.query.format || "json").toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ ok: false, error: `format must be one of ${EXPORT_FORMATS.join(", ")}` });
+  }
+  const published = publishedMatches(acc);
+  if (!published) return res.status(503).json({ ok: false, error: "No match data yet." });
+
+  const selected = select(published);
+  if (typeof selected === "string") return res.status(400).json({ ok: false, error: selected });
+  const rows = selected.parts.map((p) => exportRow(acc, p));
+
+  if (format === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${name}.csv"`);
+    return res.end(toCsv(rows));
+  }
+  res.json({ ok: true, ...selected.meta, count: rows.length, matches: rows });
+}
+
+/* the games of the current session (session queues, whatever SESSION_MODE says) */
+export function sendSessionExport(req, res, acc) {
+  sendExport(req, res, acc, "session", ({ data, parts }) => {
+    const since = data.session?.since ?? null;
+    return {
+      meta: { since, mode: data.session?.mode ?? null },
+      parts: since === null ? [] : parts.filter((p) => inSessionQueues(p) && p.gameStart >= since),
+    };
+  });
+}
+
+/* ?from=&to= (ISO date or epoch ms, `to` exclusive) and ?queue=420,440 narrow it down; empty ones are ignored */
+export function sendMatchesExport(req, res, acc) {
+  sendExport(req, res, acc, "matches", ({ parts }) => {
+    const from = parseTimestamp(req.query.from);
+    const to = parseTimestamp(req.query.to);
+    const given = (name) => req.query[name] !== undefined && req.query[name] !== "";
+    if (given("from") && from === null) return "from must be an ISO date or epoch ms";
+    if (given("to") && to === null) return "to must be an ISO date or epoch ms";
+
+    let queues = null;
+    if (given("queue")) {
+      queues = String(req.query.queue).split(",").map(Number);
+      if (!queues.every(Number.isInteger)) return "queue must be a comma-separated list of queue IDs";
+    }
+
+    return {
+      meta: { from, to, queues },
+      parts: parts.filter(
+        (p) =>
+          (from === null || (p.gameStart ?? 0) >= from) &&
+          (to === null || (p.gameStart ?? 0) < to) &&
+          (!queues || queues.includes(p.queueId))
+      ),
+    };
+  });
+}
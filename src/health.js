@@ -0,0 +1,66 @@
+import { READY_MAX_AGE_SECONDS } from "./config.js";
+import { ACCOUNTS, POLLING } from "./accounts.js";
+import { gauge } from "./metrics.js";
+import { SERVER_STARTED_AT } from "./session.js";
+
+/*
+  /healthz: the process is up (always 200), with per-account refresh times.
+  /readyz: the default account has data from a refresh younger than
+  READY_MAX_AGE_SECONDS; 503 otherwise, e.g. after the Riot key expired.
+*/
+function ageSeconds(at, now) {
+  return at ? Math.round((now - at) / 1000) : null;
+}
+
+export function accountHealth(acc, now = Date.now()) {
+  const cache = acc.cache;
+  return {
+    key: acc.key,
+    ok: !!cache.data && !cache.error,
+    lastSuccessAt: cache.lastSuccessAt || null,
+    lastFailureAt: cache.lastFailureAt || null,
+    dataAgeSeconds: ageSeconds(cache.lastSuccessAt, now),
+    error: cache.error,
+  };
+}
+
+function readyMaxAgeSeconds() {
+  return READY_MAX_AGE_SECONDS || POLLING.seconds * 3;
+}
+
+export function healthStatus() {
+  const now = Date.now();
+  return {
+    ok: true,
+    uptimeSeconds: ageSeconds(SERVER_STARTED_AT, now),
+    polling: POLLING,
+    accounts: [...ACCOUNTS.values()].map((acc) => accountHealth(acc, now)),
+  };
+}
+
+/* returns { ready, reason, ...accountHealth } for the default account */
+export function readiness(acc) {
+  const health = accountHealth(acc);
+  const maxAge = readyMaxAgeSeconds();
+  let reason = null;
+  if (!health.lastSuccessAt) reason = "no successful refresh yet";
+  else if (!POLLING.paused && health.dataAgeSeconds > maxAge) reason = `data older than ${maxAge}s`;
+  return { ready: !reason, reason, maxAgeSeconds: maxAge, ...health };
+}
+
+gauge("widget_accounts", "Accounts currently polled.", () => [{ value: ACCOUNTS.size }]);
+gauge("widget_stream_clients", "Open /widget/events streams.", () => [
+  { value: [...ACCOUNTS.values()].reduce((n, acc) => n + acc.clients.size, 0) },
+]);
+gauge("widget_last_success_timestamp_seconds", "Last successful refresh per account.", () =>
+  [...ACCOUNTS.values()].map((acc) => ({ labels: { account: acc.key }, value: acc.cache.lastSuccessAt / 1000 }))
+);
+gauge("widget_last_failure_timestamp_seconds", "Last failed refresh per account.", () =>
+  [...ACCOUNTS.values()].map((acc) => ({ labels: { account: acc.key }, value: acc.cache.lastFailureAt / 1000 }))
+);
+gauge("widget_refresh_error", "1 while the last refresh of the account failed.", () =>
+  [...ACCOUNTS.values()].map((acc) => ({ labels: { account: acc.key }, value: acc.cache.error ? 1 : 0 }))
+);
+gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds.", () => [
+  { value: SERVER_STARTED_AT / 1000 },
+]);
@@ -0,0 +1,43 @@
+import { RANK_QUEUE_IDS, startOfDay } from "./aggregate.js";
+import { seasonStart } from "./champions.js";
+import { publishedState } from "./publishDelay.js";
+import { rankProgress } from "./rankHistory.js";
+import { SESSION_SETTINGS } from "./session.js";
+
+/*
+  /history/rank?range=day|week|season&queue=RANKED_FLEX_SR
+    day     since local midnight (SESSION_TIMEZONE)
+    week    the last seven days, today included
+    season  since the season start (see champions.js)
+  The queue defaults to the one the widget shows first. Like the other public
+  outputs it ends at the published state when the publish delay is on.
+*/
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_RANGES = {
+  day: (now) => startOfDay(now, SESSION_SETTINGS.timeZone),
+  week: (now) => startOfDay(now - 6 * DAY_MS, SESSION_SETTINGS.timeZone),
+  season: (now) => seasonStart(now),
+};
+
+export function sendRankHistory(req, res, acc) {
+  res.setHeader("Cache-Control", "no-store");
+  const range = String(req.query.range || "day").toLowerCase();
+  if (!Object.hasOwn(HISTORY_RANGES, range)) {
+    return res.status(400).json({ ok: false, error: `range must be one of ${Object.keys(HISTORY_RANGES).join(", ")}` });
+  }
+  const { data, at } = publishedState(acc);
+  if (!data || !acc.ranks) return res.status(503).json({ ok: false, error: "No rank data yet." });
+
+  // Riot's own spelling is mixed case (RANKED_SOLO_5x5), so match any case
+  const requested = req.query.queue ? String(req.query.queue).toLowerCase() : null;
+  const queue = requested ? Object.keys(RANK_QUEUE_IDS).find((q) => q.toLowerCase() === requested) : data.rank.queue;
+  if (!queue) {
+    return res.status(400).json({ ok: false, error: `queue must be one of ${Object.keys(RANK_QUEUE_IDS).join(", ")}` });
+  }
+  res.json({
+    ok: true,
+    range,
+    ...rankProgress(acc.ranks.snapshots, { queue, since: HISTORY_RANGES[range](at), until: at }),
+  });
+}
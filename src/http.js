@@ -0,0 +1,26 @@
+import fetch from "node-fetch";
+import { RIOT_BACKEND } from "./config.js";
+import { mockFetch } from "./mockBackend.js";
+
+// every outgoing request goes through here, so the mock backend can replace the network
+export const fetchUrl = RIOT_BACKEND === "mock" ? mockFetch : fetch;
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export async function readJson(url, r) {
+  const text = await r.text().catch(() => "");
+  if (!r.ok) {
+    const err = new Error(`HTTP ${r.status} for ${url}: ${text.slice(0, 250)}`);
+    err.status = r.status;
+    throw err;
+  }
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch {
+    throw new Error(`Invalid JSON from ${url}: ${text.slice(0, 250)}`);
+  }
+}
+
+export async function httpGetJson(url, headers = {}) {
+  return readJson(url, await fetchUrl(url, { headers }));
+}
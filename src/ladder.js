@@ -0,0 +1,47 @@
+import { LADDER_CACHE_MINUTES, LADDER_POSITION } from "./config.js";
+import { getApexLeague } from "./riotApi.js";
+import { APEX_TIERS, RANK_QUEUE_LABELS, badgeForTier, isApexTier, rankDisplay } from "./aggregate.js";
+
+/*
+  Regional ladder position for Master and above: every player in the higher
+  apex tiers plus the place inside the own tier, ordered by LP.
+*/
+const LADDERS = new Map();
+
+async function apexLeagueSorted(acc, tier, queue) {
+  const key = `${acc.platform}:${queue}:${tier}`;
+  const cached = LADDERS.get(key);
+  if (cached && Date.now() - cached.at < LADDER_CACHE_MINUTES * 60 * 1000) return cached.entries;
+
+  const league = await getApexLeague(acc, tier, queue);
+  const entries = [...(league?.entries || [])].sort((a, b) => b.leaguePoints - a.leaguePoints);
+  LADDERS.set(key, { at: Date.now(), entries });
+  return entries;
+}
+
+async function ladderPosition(acc, rank) {
+  if (!LADDER_POSITION || !isApexTier(rank.tier)) return null;
+  try {
+    const above = APEX_TIERS.slice(APEX_TIERS.indexOf(rank.tier) + 1);
+    let position = 0;
+    for (const tier of above) position += (await apexLeagueSorted(acc, tier, rank.queue)).length;
+
+    const own = await apexLeagueSorted(acc, rank.tier, rank.queue);
+    const i = own.findIndex((e) => e.puuid === acc.puuid);
+    if (i < 0) return null;
+    return { position: position + i + 1, tierSize: own.length };
+  } catch {
+    return null; // the position is optional, the rest of the refresh still counts
+  }
+}
+
+export async function rankView(acc, rank) {
+  return {
+    ...rank,
+    label: RANK_QUEUE_LABELS[rank.queue] || rank.queue,
+    display: rankDisplay(rank),
+    apex: isApexTier(rank.tier),
+    badge: badgeForTier(rank.tier),
+    ladder: await ladderPosition(acc, rank),
+  };
+}
@@ -0,0 +1,160 @@
+import path from "node:path";
+
+import { HISTORY_COUNT, HISTORY_MAX, PRESETS_DIR, WIDGET_LANG } from "./config.js";
+import { readJsonFile } from "./storage.js";
+import { FALLBACK_LANG, loadLocale } from "./locale.js";
+
+/*
+  /widget?slides=rank,history,session&interval=6&theme=blue
+  /widget?preset=minimal            -> presets/minimal.json, query values win
+  /widget?variant=vertical          -> see VARIANTS
+  /widget?lang=pl                   -> locales/pl.json (see locale.js)
+  Invalid values are dropped with a warning and the default is used instead.
+*/
+export const SLIDE_IDS = {
+  live: "sLive",
+  summoner: "s1",
+  rank: "s2",
+  history: "s3",
+  lastgame: "s6",
+  session: "s4",
+  season: "s5",
+  champions: "s7",
+  mastery: "s8",
+  progress: "s9",
+};
+
+// accent colors as "r,g,b" so the CSS can pick its own alpha
+const THEMES = {
+  red: { acc: "255,70,70", acc2: "180,30,30" },
+  blue: { acc: "70,160,255", acc2: "30,90,180" },
+  green: { acc: "60,230,140", acc2: "20,150,90" },
+  purple: { acc: "180,110,255", acc2: "110,50,190" },
+  gold: { acc: "255,200,90", acc2: "190,130,30" },
+  pink: { acc: "255,110,190", acc2: "190,40,120" },
+};
+
+/*
+  Variants share the markup and the /widget.json data, only the CSS and the slide
+  handling differ. `width`/`height` are the defaults when the layout sets none.
+    bar       the rotating horizontal bar
+    compact   one-line ticker
+    vertical  rotating sidebar, e.g. next to a webcam frame
+    panel     "between games" scene with every slide at once, no rotation
+*/
+export const VARIANTS = {
+  bar: { width: 420, height: 76 },
+  compact: { width: 560, height: 34 },
+  vertical: { width: 220, height: 210 },
+  panel: { width: 760, height: 280 },
+};
+
+const DEFAULT_LAYOUT = {
+  variant: "bar",
+  lang: WIDGET_LANG,
+  slides: Object.keys(SLIDE_IDS),
+  interval: 9.8,
+  history: HISTORY_COUNT,
+  theme: "red",
+  accent: null,
+  accent2: null,
+  width: null,
+  height: null,
+};
+
+function hexToRgb(value) {
+  const m = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value));
+  if (!m) return undefined;
+  const hex = m[1].length === 3 ? [...m[1]].map((c) => c + c).join("") : m[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16)).join(",");
+}
+
+function intInRange(value, min, max) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= min && n <= max ? n : undefined;
+}
+
+/* returns undefined for an invalid value; own keys only, so "constructor" is no slide or theme */
+export function parseLayoutValue(key, value) {
+  if (value === undefined || value === null || value === "") return null;
+  switch (key) {
+    case "variant":
+      return Object.hasOwn(VARIANTS, value) ? String(value) : undefined;
+    case "lang":
+      return /^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(value) ? String(value).toLowerCase() : undefined;
+    case "slides": {
+      const names = (Array.isArray(value) ? value : String(value).split(",")).map((x) => String(x).trim());
+      const valid = names.length && names.every((x) => Object.hasOwn(SLIDE_IDS, x)) && names.some((x) => x !== "live");
+      return valid ? [...new Set(names)] : undefined;
+    }
+    case "interval": {
+      const n = Number(value);
+      return n >= 2 && n <= 120 ? n : undefined;
+    }
+    case "history":
+      return intInRange(value, 1, HISTORY_MAX);
+    case "theme":
+      return Object.hasOwn(THEMES, value) ? String(value) : undefined;
+    case "accent":
+    case "accent2":
+      return hexToRgb(value);
+    case "width":
+      return intInRange(value, 160, 1600);
+    case "height":
+      return intInRange(value, 28, 1200);
+    default:
+      return undefined;
+  }
+}
+
+async function loadPreset(name) {
+  if (!/^[a-z0-9_-]+$/i.test(name)) return undefined;
+  return readJsonFile(path.join(PRESETS_DIR, `${name}.json`), undefined);
+}
+
+export async function resolveLayout(query) {
+  const layout = { ...DEFAULT_LAYOUT };
+  const warnings = [];
+
+  const apply = (source, values) => {
+    for (const [key, raw] of Object.entries(values)) {
+      if (!Object.hasOwn(DEFAULT_LAYOUT, key)) continue;
+      const v = parseLayoutValue(key, raw);
+      if (v === undefined) warnings.push(`${source}: invalid ${key} "${raw}"`);
+      else if (v !== null) layout[key] = v;
+    }
+  };
+
+  if (query.preset) {
+    const preset = await loadPreset(String(query.preset));
+    if (preset && typeof preset === "object") apply(`preset ${query.preset}`, preset);
+    else warnings.push(`unknown preset "${query.preset}"`);
+  }
+  apply("query", query);
+
+  const size = VARIANTS[layout.variant];
+  layout.width ??= size.width;
+  layout.height ??= size.height;
+
+  let locale = await loadLocale(layout.lang);
+  if (!locale) {
+    warnings.push(`unknown lang "${layout.lang}"`);
+    layout.lang = FALLBACK_LANG;
+    locale = await loadLocale(FALLBACK_LANG);
+  }
+  return { layout, locale, warnings };
+}
+
+/* JSON that is safe to inline in a <script> block */
+export function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, "\\u003c");
+}
+
+export function layoutCss(layout) {
+  const theme = THEMES[layout.theme];
+  return `
+    --accRGB: ${layout.accent || theme.acc};
+    --acc2RGB: ${layout.accent2 || theme.acc2};
+    --W: ${layout.width}px;
+    --H: ${layout.height}px;`;
+}
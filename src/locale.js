@@ -0,0 +1,47 @@
+import path from "node:path";
+
+import { LOCALES_DIR } from "./config.js";
+import { readJsonFile } from "./storage.js";
+
+/*
+  Overlay locale packs: locales/<lang>.json, sections of strings (see en.json).
+  A pack only has to contain what differs from English; the sections are merged
+  over en.json key by key. Strings may use {name} placeholders, and an object
+  of Intl.PluralRules categories ({ "one": ..., "few": ..., "other": ... })
+  picks the form for the {n} it is rendered with.
+*/
+export const FALLBACK_LANG = "en";
+
+function readLocale(lang) {
+  if (!/^[a-z]{2,3}(-[a-z0-9]{2,8})?$/i.test(lang)) return undefined;
+  return readJsonFile(path.join(LOCALES_DIR, `${lang}.json`), undefined);
+}
+
+function mergeLocale(base, pack) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(pack)) {
+    const isSection = value && typeof value === "object" && base[key] && typeof base[key] === "object";
+    merged[key] = isSection ? { ...base[key], ...value } : value;
+  }
+  return merged;
+}
+
+// every string the overlay uses falls back to English, it cannot render without it
+async function readFallbackLocale() {
+  const base = await readLocale(FALLBACK_LANG);
+  if (!base || typeof base !== "object") {
+    throw new Error(`Missing locale ${path.join(LOCALES_DIR, `${FALLBACK_LANG}.json`)} (check LOCALES_DIR)`);
+  }
+  return base;
+}
+
+// checked at startup, so a wrong LOCALES_DIR stops the server instead of rendering raw keys
+await readFallbackLocale();
+
+/* undefined when there is no such locale */
+export async function loadLocale(lang) {
+  const base = await readFallbackLocale();
+  if (lang === FALLBACK_LANG) return base;
+  const pack = await readLocale(lang);
+  return pack && typeof pack === "object" ? mergeLocale(base, pack) : undefined;
+}
@@ -0,0 +1,65 @@
+import { MASTERY_CACHE_MINUTES, MASTERY_TOP_COUNT } from "./config.js";
+import { getChampionMasteriesByPuuid } from "./riotApi.js";
+import { champIconUrl, championDisplayName, championKey } from "./ddragon.js";
+
+/*
+  champion-mastery-v4 only changes when a game ends, so the list is kept on the
+  account and fetched again when a new match shows up in the store, or after
+  MASTERY_CACHE_MINUTES at the latest.
+*/
+async function championMasteries(acc, latestMatchId) {
+  const cached = acc.mastery;
+  const fresh = cached && Date.now() - cached.at < MASTERY_CACHE_MINUTES * 60 * 1000;
+  if (fresh && cached.latestMatchId === latestMatchId) return cached.entries;
+
+  try {
+    const entries = [...((await getChampionMasteriesByPuuid(acc, acc.puuid)) || [])].sort(
+      (a, b) => b.championPoints - a.championPoints
+    );
+    acc.mastery = { at: Date.now(), latestMatchId, entries };
+    return entries;
+  } catch {
+    // mastery is optional, the last list (if any) stays up
+    return cached?.entries ?? [];
+  }
+}
+
+function masteryView(m) {
+  return {
+    championId: m.championId,
+    championName: championDisplayName(m.championId),
+    championIcon: champIconUrl(m.championId),
+    level: m.championLevel ?? 0,
+    points: m.championPoints ?? 0,
+    pointsSinceLastLevel: m.championPointsSinceLastLevel ?? null,
+    pointsUntilNextLevel: m.championPointsUntilNextLevel ?? null,
+    lastPlayed: m.lastPlayTime ?? null,
+  };
+}
+
+/*
+  The `mastery` block of /widget.json: the top champions by points and the one
+  being played right now, or else the one from the last game. Champions resolve
+  through DDragon like the match history, so a stored match without championId
+  still finds its entry by name.
+*/
+export async function masterySummary(acc, { latestMatch, liveGame }) {
+  const entries = await championMasteries(acc, latestMatch?.matchId ?? null);
+
+  const played = liveGame
+    ? { source: "live", champion: liveGame.championId }
+    : latestMatch && { source: "last", champion: latestMatch.championId ?? latestMatch.championName };
+  let current = null;
+  if (played) {
+    const key = championKey(played.champion);
+    const entry = key && entries.find((m) => championKey(m.championId) === key);
+    if (entry) current = { ...masteryView(entry), source: played.source };
+  }
+
+  return {
+    champions: entries.length,
+    totalPoints: entries.reduce((sum, m) => sum + (m.championPoints ?? 0), 0),
+    top: entries.slice(0, MASTERY_TOP_COUNT).map(masteryView),
+    current,
+  };
+}
@@ -0,0 +1,136 @@
+import { HISTORY_MAX, MATCH_BACKFILL_PER_REFRESH, MATCH_STORE_LIMIT } from "./config.js";
+import { getMatch, getMatchIdsByPuuid } from "./riotApi.js";
+import { extractParticipant } from "./aggregate.js";
+import { dataFile, readJsonFile, writeJsonFile } from "./storage.js";
+
+/*
+  Finished matches never change, so each one is fetched once and its extracted
+  participant data is kept per account in data/matches/<account>.json.
+  `key` is the account the file was written for: a file without it or with
+  another one is not reused, its puuid and matches could be another player's.
+  `pending` holds IDs whose download failed and still have to be fetched,
+  `backfill` how far the season backfill has paged (see backfillMatchStore).
+*/
+function matchStoreFile(acc) {
+  return dataFile("matches", `${acc.key}.json`);
+}
+
+export async function loadMatchStore(acc) {
+  let raw = await readJsonFile(matchStoreFile(acc), {});
+  if (Object.keys(raw).length && raw.key !== acc.key) {
+    console.warn(`Ignoring ${matchStoreFile(acc)}: it was written for ${raw.key ?? "another account"}`);
+    raw = {};
+  }
+  const store = {
+    puuid: raw.puuid || null,
+    matches: new Map(Object.entries(raw.matches || {})),
+    pending: Array.isArray(raw.pending) ? raw.pending : [],
+    backfill: raw.backfill || null,
+  };
+  // matches stored before the detailed stats existed: fetch the recent ones again
+  for (const m of storedMatches(store).slice(0, HISTORY_MAX)) {
+    if (!("remake" in m) && !store.pending.includes(m.matchId)) store.pending.push(m.matchId);
+  }
+  return store;
+}
+
+export async function saveMatchStore(acc) {
+  const { puuid, matches, pending, backfill } = acc.store;
+  await writeJsonFile(matchStoreFile(acc), {
+    key: acc.key,
+    puuid,
+    matches: Object.fromEntries(matches),
+    pending,
+    backfill,
+  });
+}
+
+export function storedMatches(store) {
+  return [...store.matches.values()].sort((a, b) => (b.gameStart ?? 0) - (a.gameStart ?? 0));
+}
+
+/* pages through the IDs played after `startTime` (epoch seconds), newest first */
+async function getNewMatchIds(acc, startTime) {
+  if (!startTime) return (await getMatchIdsByPuuid(acc, acc.puuid)) || [];
+
+  const ids = [];
+  for (let start = 0; ids.length < MATCH_STORE_LIMIT; start += 100) {
+    const page = (await getMatchIdsByPuuid(acc, acc.puuid, { start, count: 100, startTime })) || [];
+    ids.push(...page);
+    if (page.length < 100) break;
+  }
+  return ids;
+}
+
+/* downloads `ids` into the store; returns the IDs worth retrying and the first error */
+async function fetchMatches(acc, ids) {
+  const results = await Promise.allSettled(ids.map((id) => getMatch(acc, id)));
+  const failed = [];
+  results.forEach((r, i) => {
+    if (r.status === "rejected") {
+      // 404: the match is gone for good, don't keep retrying it
+      if (r.reason?.status !== 404) failed.push(ids[i]);
+      return;
+    }
+    const part = extractParticipant(r.value, acc.puuid);
+    if (part) acc.store.matches.set(ids[i], part);
+  });
+  return { failed, error: results.find((r) => r.status === "rejected")?.reason };
+}
+
+/* fetches only matches newer than the latest stored one; returns true when the store changed */
+export async function syncMatchStore(acc) {
+  const store = acc.store;
+  const latest = storedMatches(store)[0];
+  const startTime = latest?.gameStart ? Math.floor(latest.gameStart / 1000) + 1 : null;
+
+  const newIds = (await getNewMatchIds(acc, startTime)).filter((id) => !store.matches.has(id));
+  const wanted = [...new Set([...newIds, ...store.pending])];
+  if (!wanted.length) return false;
+
+  const { failed, error } = await fetchMatches(acc, wanted);
+  if (failed.length === wanted.length && !store.matches.size) throw error;
+  store.pending = failed;
+
+  for (const old of storedMatches(store).slice(MATCH_STORE_LIMIT)) store.matches.delete(old.matchId);
+  return true;
+}
+
+/*
+  The regular sync only looks forward from the newest stored match. This pages
+  back through `queue` since `startTime` (epoch seconds), a few matches per
+  refresh. `store.backfill.start` is the next offset into the ID list; new games
+  shift the list, which only means a few IDs are listed twice. Stops once the
+  list is exhausted or the store is full. Returns true when the store changed.
+*/
+export async function backfillMatchStore(acc, { queue, startTime }) {
+  const store = acc.store;
+  const key = `${queue ?? "all"}:${startTime}`;
+  if (store.backfill?.key !== key) store.backfill = { key, start: 0, done: false };
+  const state = store.backfill;
+  if (state.done) return false;
+
+  const wanted = [];
+  for (let pages = 0; pages < 3 && !state.done && wanted.length < MATCH_BACKFILL_PER_REFRESH; pages++) {
+    const page = (await getMatchIdsByPuuid(acc, acc.puuid, { start: state.start, count: 100, startTime, queue })) || [];
+    let taken = 0;
+    for (const id of page) {
+      if (wanted.length >= MATCH_BACKFILL_PER_REFRESH) break;
+      taken++;
+      if (!store.matches.has(id) && !store.pending.includes(id)) wanted.push(id);
+    }
+    state.start += taken;
+    if (taken === page.length && page.length < 100) state.done = true;
+  }
+  if (store.matches.size + wanted.length >= MATCH_STORE_LIMIT) {
+    wanted.splice(Math.max(0, MATCH_STORE_LIMIT - store.matches.size));
+    state.done = true;
+  }
+
+  if (wanted.length) {
+    const { failed } = await fetchMatches(acc, wanted);
+    // failures go to the regular sync's retry list
+    store.pending.push(...failed);
+  }
+  return true;
+}
@@ -0,0 +1,102 @@
+/*
+  Minimal Prometheus registry for /metrics (text exposition format 0.0.4).
+  Counters and histograms are updated where things happen; gauges are read
+  from a callback when the endpoint is scraped.
+*/
+const METRICS = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function formatLabels(labels) {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function register(metric) {
+  METRICS.push(metric);
+  return metric;
+}
+
+export function counter(name, help) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels = {}, n = 1) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, value: 0 };
+      s.value += n;
+      series.set(key, s);
+    },
+    lines() {
+      return [...series.values()].map((s) => `${name}${formatLabels(s.labels)} ${s.value}`);
+    },
+  });
+}
+
+export function histogram(name, help, buckets) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const s = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((b, i) => {
+        if (value <= b) s.counts[i]++;
+      });
+      s.sum += value;
+      s.count++;
+      series.set(key, s);
+    },
+    lines() {
+      return [...series.values()].flatMap((s) => [
+        ...buckets.map((b, i) => `${name}_bucket${formatLabels({ ...s.labels, le: b })} ${s.counts[i]}`),
+        `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+        `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+        `${name}_count${formatLabels(s.labels)} ${s.count}`,
+      ]);
+    },
+  });
+}
+
+/* `collect()` returns [{ labels, value }] at scrape time */
+export function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: "gauge",
+    lines() {
+      return collect().map((s) => `${name}${formatLabels(s.labels || {})} ${s.value}`);
+    },
+  });
+}
+
+export function renderMetrics() {
+  return (
+    METRICS.flatMap((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()]).join("\n") + "\n"
+  );
+}
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// Riot calls per endpoint ("method" is the rate-limit method name, e.g. match-v5.match)
+export const riotRequests = counter("riot_requests_total", "Riot API responses by endpoint and HTTP status.");
+export const riotRequestSeconds = histogram(
+  "riot_request_duration_seconds",
+  "Riot API call latency by endpoint, without the time spent waiting for a rate-limit slot.",
+  LATENCY_BUCKETS
+);
+
+export const refreshes = counter("widget_refresh_total", "Account refreshes by result.");
+export const refreshSeconds = histogram(
+  "widget_refresh_duration_seconds",
+  "Duration of a full account refresh.",
+  LATENCY_BUCKETS
+);
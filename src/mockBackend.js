@@ -0,0 +1,128 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { MOCK_FIXTURES_DIR } from "./config.js";
+import { readJsonFile } from "./storage.js";
+
+/*
+  Offline stand-in for the Riot API and DDragon (RIOT_BACKEND=mock). It answers
+  the URLs the real client requests from JSON fixtures, read on every call so a
+  fixture can be added or edited while the server runs:
+
+    accounts.json                account-v1, a list of { puuid, gameName, tagLine }
+    league/<puuid>.json          league-v4 entries
+    matches/<matchId>.json       match-v5 matches; the ID lists are built from these
+    spectator/<puuid>.json       spectator-v5 active game (no file: not in game)
+    mastery/<puuid>.json         champion-mastery-v4 entries
+    apex/<league>-<queue>.json   league-v4 masterleagues, grandmasterleagues, challengerleagues
+    ddragon/versions.json, ddragon/<manifest>.json (champion, summoner, item, profileicon)
+    ddragon/img/<kind>/<file>.png  DDragon images (champion, item, spell, profileicon)
+
+  Everything else is a 404, like an unknown resource on the real API.
+*/
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+}
+
+function imageResponse(body) {
+  return new Response(body, { status: 200, headers: { "content-type": "image/png" } });
+}
+
+function notFound() {
+  return jsonResponse(404, { status: { message: "Data not found", status_code: 404 } });
+}
+
+// URL segments become file names; anything that could leave the fixture directory is a miss
+function unsafe(parts) {
+  return parts.some((p) => !/^[\w.-]+$/.test(p) || p.startsWith("."));
+}
+
+async function fixture(...parts) {
+  if (unsafe(parts)) return undefined;
+  return readJsonFile(path.join(MOCK_FIXTURES_DIR, ...parts), undefined);
+}
+
+async function image(...parts) {
+  if (unsafe(parts)) return undefined;
+  try {
+    return imageResponse(await fs.readFile(path.join(MOCK_FIXTURES_DIR, ...parts)));
+  } catch {
+    return undefined;
+  }
+}
+
+async function matchesOf(puuid) {
+  let files;
+  try {
+    files = await fs.readdir(path.join(MOCK_FIXTURES_DIR, "matches"));
+  } catch {
+    return [];
+  }
+  const matches = await Promise.all(files.filter((f) => f.endsWith(".json")).map((f) => fixture("matches", f)));
+  return matches
+    .filter((m) => m?.info?.participants?.some((p) => p.puuid === puuid))
+    .sort((a, b) => b.info.gameStartTimestamp - a.info.gameStartTimestamp);
+}
+
+/* match-v5 ids: newest first, with the startTime/endTime (epoch seconds), queue and paging filters */
+async function matchIds(puuid, qs) {
+  const startTime = Number(qs.get("startTime")) * 1000 || 0;
+  const endTime = Number(qs.get("endTime")) * 1000 || Infinity;
+  const queue = qs.has("queue") ? Number(qs.get("queue")) : null;
+  const start = Number(qs.get("start")) || 0;
+  const count = Number(qs.get("count")) || 20;
+  return (await matchesOf(puuid))
+    .filter((m) => m.info.gameStartTimestamp >= startTime && m.info.gameStartTimestamp <= endTime)
+    .filter((m) => queue === null || m.info.queueId === queue)
+    .slice(start, start + count)
+    .map((m) => m.metadata.matchId);
+}
+
+async function accountByRiotId(gameName, tagLine) {
+  const accounts = (await fixture("accounts.json")) || [];
+  return accounts.find(
+    (a) => a.gameName.toLowerCase() === gameName.toLowerCase() && a.tagLine.toLowerCase() === tagLine.toLowerCase()
+  );
+}
+
+const RIOT_ROUTES = [
+  [/^\/riot\/account\/v1\/accounts\/by-riot-id\/([^/]+)\/([^/]+)$/, (m) => accountByRiotId(m[1], m[2])],
+  [/^\/lol\/league\/v4\/entries\/by-puuid\/([^/]+)$/, async (m) => (await fixture("league", `${m[1]}.json`)) || []],
+  [/^\/lol\/match\/v5\/matches\/by-puuid\/([^/]+)\/ids$/, (m, qs) => matchIds(m[1], qs)],
+  [/^\/lol\/match\/v5\/matches\/([^/]+)$/, (m) => fixture("matches", `${m[1]}.json`)],
+  [/^\/lol\/spectator\/v5\/active-games\/by-summoner\/([^/]+)$/, (m) => fixture("spectator", `${m[1]}.json`)],
+  [
+    /^\/lol\/champion-mastery\/v4\/champion-masteries\/by-puuid\/([^/]+)$/,
+    async (m) => (await fixture("mastery", `${m[1]}.json`)) || [],
+  ],
+  [/^\/lol\/league\/v4\/(\w+leagues)\/by-queue\/([^/]+)$/, (m) => fixture("apex", `${m[1]}-${m[2]}.json`)],
+];
+
+const DDRAGON_ROUTES = [
+  [/^\/api\/versions\.json$/, () => fixture("ddragon", "versions.json")],
+  [
+    /^\/cdn\/[^/]+\/data\/en_US\/(champion|summoner|item|profileicon)\.json$/,
+    (m) => fixture("ddragon", `${m[1]}.json`),
+  ],
+  [/^\/cdn\/[^/]+\/img\/(\w+)\/([^/]+)$/, (m) => image("ddragon", "img", m[1], m[2])],
+];
+
+/* drop-in for fetch(url, options) as used by riotGet and httpGetJson */
+export async function mockFetch(url) {
+  const u = new URL(url);
+  let routes = null;
+  if (u.hostname === "ddragon.leagueoflegends.com") routes = DDRAGON_ROUTES;
+  else if (u.hostname.endsWith(".api.riotgames.com")) routes = RIOT_ROUTES;
+  if (!routes) throw new Error(`Mock backend has no host ${u.hostname}`);
+
+  for (const [pattern, handler] of routes) {
+    const m = pattern.exec(u.pathname);
+    if (!m) continue;
+    const body = await handler(
+      m.map((x) => decodeURIComponent(x ?? "")),
+      u.searchParams
+    );
+    if (body instanceof Response) return body;
+    return body === undefined ? notFound() : jsonResponse(200, body);
+  }
+  return notFound();
+}
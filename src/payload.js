@@ -0,0 +1,71 @@
+import { HISTORY_COUNT, HISTORY_MAX, SSE_RETRY_MS } from "./config.js";
+import { parseLayoutValue } from "./layout.js";
+import { PUBLISH, publishedState } from "./publishDelay.js";
+
+/*
+  `history` trims matchHistory.lastN (the cache keeps HISTORY_MAX games). With the
+  publish delay on, the data is the delayed state from publishDelay.js.
+*/
+export function widgetPayload(acc, { history = HISTORY_COUNT } = {}) {
+  const CACHE = acc.cache;
+  const published = publishedState(acc);
+  const payload = {
+    ok: !!published.data && !CACHE.error,
+    error: CACHE.error,
+    ...published.data,
+    updatedAt: PUBLISH.delayed ? published.at : CACHE.updatedAt,
+    // when the data itself was last refreshed; the overlay shows its age while `ok` is false
+    dataUpdatedAt: published.at,
+    publishDelay: PUBLISH.delayed ? PUBLISH.delayMinutes : 0,
+  };
+  if (payload.matchHistory) {
+    const lastN = payload.matchHistory.lastN.slice(0, history);
+    payload.matchHistory = { ...payload.matchHistory, lastN, count: history };
+  }
+  return payload;
+}
+
+export function payloadOptions(query) {
+  return { history: parseLayoutValue("history", query.history) ?? HISTORY_COUNT };
+}
+
+// fields that change on every refresh without anything visible happening
+const VOLATILE_KEYS = new Set(["updatedAt", "dataUpdatedAt", "api", "gameLength"]);
+
+function payloadFingerprint(payload) {
+  return JSON.stringify(payload, (k, v) => (VOLATILE_KEYS.has(k) ? undefined : v));
+}
+
+export function sendEvent(res, event, data, id) {
+  if (id !== undefined) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/* pushes the payload to stream clients, but only when something actually changed */
+export function publish(acc) {
+  const fingerprint = payloadFingerprint(widgetPayload(acc, { history: HISTORY_MAX }));
+  if (fingerprint === acc.fingerprint) return;
+  acc.fingerprint = fingerprint;
+  acc.version++;
+  for (const client of acc.clients) sendEvent(client.res, "payload", widgetPayload(acc, client.opts), acc.version);
+}
+
+export function openEventStream(req, res, acc) {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const client = { res, opts: payloadOptions(req.query) };
+
+  // a reconnecting client that already has the latest version gets nothing until the next change
+  if (req.get("Last-Event-ID") !== String(acc.version)) {
+    sendEvent(res, "payload", widgetPayload(acc, client.opts), acc.version);
+  }
+
+  acc.clients.add(client);
+  req.on("close", () => acc.clients.delete(client));
+}
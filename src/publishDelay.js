@@ -0,0 +1,39 @@
+import { PUBLISH_DELAY, PUBLISH_DELAY_MAX_MINUTES, PUBLISH_DELAY_MINUTES } from "./config.js";
+
+/*
+  Anti-stream-sniping delay. Every successful refresh is kept in a per-account
+  ring buffer covering PUBLISH_DELAY_MAX_MINUTES, whether the delay is on or
+  not, so switching it on at runtime has history to serve right away. While it
+  is on, the public outputs get the newest state that is at least
+  `delayMinutes` old; a live game only shows once it had been running that long.
+  Right after a start there is no old enough state yet and nothing is served.
+*/
+export const PUBLISH = { delayed: PUBLISH_DELAY, delayMinutes: PUBLISH_DELAY_MINUTES };
+
+export function bufferState(acc, data) {
+  const now = Date.now();
+  acc.published.push({ at: now, data });
+  // everything before the newest state older than the longest delay can never be served again
+  const horizon = now - PUBLISH_DELAY_MAX_MINUTES * 60 * 1000;
+  while (acc.published.length > 1 && acc.published[1].at <= horizon) acc.published.shift();
+}
+
+function hideRecentLiveGame(data, cutoff) {
+  const game = data.liveGame;
+  if (!game || (game.gameStart && game.gameStart <= cutoff)) return data;
+  return { ...data, liveGame: null };
+}
+
+/* { data, at } the public outputs should show; `at` is when that state was fetched */
+export function publishedState(acc) {
+  if (!PUBLISH.delayed) return { data: acc.cache.data, at: acc.cache.lastSuccessAt || null };
+
+  const cutoff = Date.now() - PUBLISH.delayMinutes * 60 * 1000;
+  let state = null;
+  for (const entry of acc.published) {
+    if (entry.at > cutoff) break;
+    state = entry;
+  }
+  if (!state) return { data: null, at: null };
+  return { data: hideRecentLiveGame(state.data, cutoff), at: state.at };
+}
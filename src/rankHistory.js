@@ -0,0 +1,133 @@
+import { RANK_SNAPSHOT_LIMIT } from "./config.js";
+import { APEX_TIERS, RANK_QUEUE_IDS, TIER_ORDER, lpDiff, lpValue, rankDisplay } from "./aggregate.js";
+import { dataFile, readJsonFile, writeJsonFile } from "./storage.js";
+
+/*
+  A snapshot is stored whenever tier, division, LP or the game count changes.
+  `games` ranked games were played since the previous snapshot (taken at
+  `since`), `lpDelta` is what they changed on the continuous LP scale (see
+  lpValue) and `matchIds` are those games once they show up in match-v5,
+  which can lag behind league-v4.
+*/
+const LINK_SLACK_MS = 10 * 60 * 1000;
+
+function rankHistoryFile(acc) {
+  return dataFile("ranks", `${acc.key}.json`);
+}
+
+export async function loadRankHistory(acc) {
+  const raw = await readJsonFile(rankHistoryFile(acc), {});
+  return { snapshots: Array.isArray(raw.snapshots) ? raw.snapshots : [] };
+}
+
+export async function saveRankHistory(acc) {
+  await writeJsonFile(rankHistoryFile(acc), acc.ranks);
+}
+
+function sameRankState(a, b) {
+  return a.tier === b.tier && a.rank === b.rank && a.lp === b.lp && a.wins === b.wins && a.losses === b.losses;
+}
+
+/* returns the new snapshot, or null when nothing changed */
+export function recordRankSnapshot(acc, rank) {
+  const snapshots = acc.ranks.snapshots;
+  const prev = [...snapshots].reverse().find((s) => s.queue === rank.queue);
+  if (prev && sameRankState(prev, rank)) return null;
+
+  const snap = {
+    at: Date.now(),
+    since: prev ? prev.at : null,
+    queue: rank.queue,
+    tier: rank.tier,
+    rank: rank.rank,
+    lp: rank.lp,
+    wins: rank.wins,
+    losses: rank.losses,
+    games: prev ? Math.max(0, rank.wins + rank.losses - (prev.wins + prev.losses)) : 0,
+    lpDelta: prev ? lpDiff(prev, rank) : null,
+    matchIds: [],
+  };
+  snapshots.push(snap);
+  if (snapshots.length > RANK_SNAPSHOT_LIMIT) snapshots.splice(0, snapshots.length - RANK_SNAPSHOT_LIMIT);
+  return snap;
+}
+
+/* links stored matches to the snapshots they caused; returns true when anything was linked */
+export function linkSnapshotMatches(snapshots, parts) {
+  const linked = new Set(snapshots.flatMap((s) => s.matchIds));
+  let changed = false;
+
+  for (const snap of snapshots.slice(-50)) {
+    const missing = (snap.games ?? 0) - snap.matchIds.length;
+    if (missing <= 0 || snap.since === null) continue;
+
+    const queueId = RANK_QUEUE_IDS[snap.queue];
+    const found = parts
+      .filter((p) => !linked.has(p.matchId) && (p.queueId == null || p.queueId === queueId))
+      .filter((p) => (p.gameEnd ?? 0) > snap.since - LINK_SLACK_MS && (p.gameEnd ?? 0) <= snap.at + 60 * 1000)
+      .slice(0, missing);
+
+    for (const p of found) {
+      snap.matchIds.push(p.matchId);
+      linked.add(p.matchId);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/* net LP of the snapshots caused by the given matches; null when nothing is known */
+export function lpDeltaForMatches(snapshots, matchIds) {
+  const ids = new Set(matchIds);
+  let total = null;
+  for (const s of snapshots) {
+    if (s.lpDelta === null || !s.matchIds.some((id) => ids.has(id))) continue;
+    total = (total ?? 0) + s.lpDelta;
+  }
+  return total;
+}
+
+/* LP change of a single game, known only when a snapshot links exactly that match */
+export function lpDeltaForMatch(snapshots, matchId) {
+  const snap = snapshots.find((s) => s.matchIds.length === 1 && s.matchIds[0] === matchId);
+  return snap ? snap.lpDelta : null;
+}
+
+// where each tier starts on the lpValue scale; the apex tiers above Master share one ladder
+const TIER_STARTS = [...TIER_ORDER, APEX_TIERS[0]].map((tier, i) => ({ tier, lp: i * 400 }));
+
+/*
+  LP trajectory of one queue on the continuous lpValue scale between `since` and
+  `until` (null: up to now, which keeps a cached graph the same between
+  refreshes). The first point is the rank going into `since` (the last snapshot
+  before it), so a graph starts where the range starts. `tiers` are the tier
+  starts the line crosses or touches, for marking boundaries.
+*/
+export function rankProgress(snapshots, { queue, since, until = null }) {
+  const inQueue = snapshots.filter(
+    (s) => s.queue === queue && (until === null || s.at <= until) && lpValue(s) !== null
+  );
+  const before = inQueue.filter((s) => s.at < since).pop();
+  const points = [...(before ? [{ ...before, at: since }] : []), ...inQueue.filter((s) => s.at >= since)].map((s) => ({
+    at: s.at,
+    lp: lpValue(s),
+    tier: s.tier,
+    rank: s.rank,
+    leaguePoints: s.lp,
+    display: rankDisplay(s),
+  }));
+
+  const values = points.map((p) => p.lp);
+  const min = values.length ? Math.min(...values) : null;
+  const max = values.length ? Math.max(...values) : null;
+  return {
+    queue,
+    since,
+    until,
+    points,
+    min,
+    max,
+    change: values.length ? values[values.length - 1] - values[0] : null,
+    tiers: values.length ? TIER_STARTS.filter((t) => t.lp >= min && t.lp <= max) : [],
+  };
+}
@@ -0,0 +1,195 @@
+import { HISTORY_MAX, MATCH_FETCH_COUNT } from "./config.js";
+import { riotBudget } from "./riotClient.js";
+import { champIconUrl, ensureDdragonVersion, itemIconUrl, profileIconUrl, spellIconUrl } from "./ddragon.js";
+import { getAccountByRiotId, getActiveGameByPuuid, getLeagueEntriesByPuuid, platformToRegionShort } from "./riotApi.js";
+import {
+  SESSION_QUEUE_IDS,
+  computeSession,
+  inSessionQueues,
+  pctInt,
+  pickRanks,
+  startOfDay,
+  summarizeLiveGame,
+} from "./aggregate.js";
+import { backfillMatchStore, loadMatchStore, saveMatchStore, storedMatches, syncMatchStore } from "./matchStore.js";
+import { CHAMPION_STATS_QUEUE, championSummary, seasonStart } from "./champions.js";
+import { masterySummary } from "./mastery.js";
+import {
+  linkSnapshotMatches,
+  loadRankHistory,
+  lpDeltaForMatch,
+  lpDeltaForMatches,
+  rankProgress,
+  recordRankSnapshot,
+  saveRankHistory,
+} from "./rankHistory.js";
+import { rankView } from "./ladder.js";
+import { detectEvents, recordEvents } from "./events.js";
+import { SESSION_SETTINGS, loadSessionState } from "./session.js";
+import { publish } from "./payload.js";
+import { bufferState } from "./publishDelay.js";
+import { deliverWebhooks, queueWebhooks } from "./webhooks.js";
+import { refreshSeconds, refreshes } from "./metrics.js";
+
+export async function refresh(acc) {
+  const CACHE = acc.cache;
+  const started = Date.now();
+  try {
+    await ensureDdragonVersion();
+
+    if (!acc.store) acc.store = await loadMatchStore(acc);
+    if (!acc.ranks) acc.ranks = await loadRankHistory(acc);
+    if (!acc.session) acc.session = await loadSessionState(acc);
+
+    // a Riot ID -> PUUID mapping does not change, look it up once per account
+    if (!acc.puuid) acc.puuid = acc.store.puuid;
+    if (!acc.puuid) {
+      const account = await getAccountByRiotId(acc).catch((e) => {
+        // accounts.js stops tracking a Riot ID that does not exist
+        if (e.status === 404) acc.notFound = true;
+        throw e;
+      });
+      if (!account?.puuid) throw new Error("Account lookup failed (no puuid).");
+      acc.puuid = acc.store.puuid = account.puuid;
+    }
+
+    const entries = await getLeagueEntriesByPuuid(acc, acc.puuid);
+    const ranks = pickRanks(entries);
+    const rank = ranks[0];
+
+    const seasonGames = (rank.wins ?? 0) + (rank.losses ?? 0);
+    const seasonWinrateInt = pctInt(rank.wins ?? 0, seasonGames);
+
+    // low on budget: serve the stored matches instead of stalling in the queue
+    const budget = riotBudget(`${acc.regional}.api.riotgames.com`);
+    const degraded = acc.store.matches.size > 0 && budget.remaining !== null && budget.remaining <= MATCH_FETCH_COUNT;
+
+    let stored = !degraded && (await syncMatchStore(acc));
+    // season backfill for the champion stats; it waits whenever the budget is tight
+    if (!degraded) {
+      try {
+        const startTime = Math.floor(seasonStart() / 1000);
+        if (await backfillMatchStore(acc, { queue: CHAMPION_STATS_QUEUE, startTime })) stored = true;
+      } catch {}
+    }
+    if (stored) await saveMatchStore(acc);
+
+    const allParts = storedMatches(acc.store);
+    const parts = allParts.filter(inSessionQueues);
+
+    /*
+      spectator trouble must not take the rest of the widget down: the last live
+      game stands in for one failed poll, unless its match is already stored
+    */
+    let liveGame = null;
+    try {
+      liveGame = summarizeLiveGame(await getActiveGameByPuuid(acc, acc.puuid), acc.puuid);
+      acc.liveGameKept = false;
+    } catch {
+      const last = acc.cache.data?.liveGame ?? null;
+      const ended = last && acc.store.matches.has(`${acc.platform.toUpperCase()}_${last.gameId}`);
+      if (last && !ended && !acc.liveGameKept) liveGame = last;
+      acc.liveGameKept = !!liveGame;
+    }
+
+    let snapped = false;
+    for (const r of ranks) if (r.tier !== "UNRANKED" && recordRankSnapshot(acc, r)) snapped = true;
+    if (linkSnapshotMatches(acc.ranks.snapshots, allParts) || snapped) await saveRankHistory(acc);
+
+    const lastN = parts.slice(0, HISTORY_MAX).map((p) => ({
+      matchId: p.matchId,
+      queueId: p.queueId,
+      championName: p.championName,
+      // stored matches from before championId was kept resolve by name
+      championIcon: champIconUrl(p.championId ?? p.championName),
+      items: (p.items || []).map(itemIconUrl),
+      spells: (p.spells || []).map(spellIconUrl),
+      win: p.win,
+      remake: !!p.remake,
+      kills: p.kills,
+      deaths: p.deaths,
+      assists: p.assists,
+      position: p.position ?? null,
+      cs: p.cs ?? null,
+      csPerMin: p.csPerMin ?? null,
+      damageShare: p.damageShare ?? null,
+      killParticipation: p.killParticipation ?? null,
+      visionScore: p.visionScore ?? null,
+      duration: p.duration ?? null,
+      gameEnd: p.gameEnd,
+      lpDelta: lpDeltaForMatch(acc.ranks.snapshots, p.matchId),
+    }));
+
+    const rankViews = [];
+    for (const r of ranks) rankViews.push(await rankView(acc, r));
+
+    const session = computeSession(parts, SESSION_SETTINGS, acc.session);
+    const sessionSince = SESSION_SETTINGS.mode === "stream" ? acc.session.startedAt : session.since;
+
+    const data = {
+      updatedAt: Date.now(),
+      player: {
+        riotId: `${acc.gameName}#${acc.tagLine}`,
+        region: platformToRegionShort(acc.platform),
+        profileIcon: allParts[0]?.profileIcon ? profileIconUrl(allParts[0].profileIcon) : null,
+      },
+      rank: rankViews[0],
+      ranks: rankViews,
+      liveGame,
+      matchHistory: { lastN, count: lastN.length, stored: allParts.length },
+      champions: championSummary(acc, allParts),
+      mastery: await masterySummary(acc, { latestMatch: allParts[0], liveGame }),
+      session: {
+        wins: session.wins,
+        losses: session.losses,
+        games: session.games,
+        kda: session.kda,
+        kills: session.kills,
+        deaths: session.deaths,
+        assists: session.assists,
+        remakes: session.remakes,
+        lp: lpDeltaForMatches(acc.ranks.snapshots, session.matchIds),
+        queues: SESSION_QUEUE_IDS ? [...SESSION_QUEUE_IDS] : null,
+        mode: SESSION_SETTINGS.mode,
+        since: sessionSince,
+        baseline: acc.session.baseline,
+      },
+      // the LP sparkline: the session's trajectory, today's while there is no session
+      lpGraph: {
+        scope: sessionSince ? "session" : "day",
+        ...rankProgress(acc.ranks.snapshots, {
+          queue: rank.queue,
+          since: sessionSince ?? startOfDay(Date.now(), SESSION_SETTINGS.timeZone),
+        }),
+      },
+      season: {
+        games: seasonGames,
+        winrate: seasonWinrateInt,
+        wins: rank.wins ?? 0,
+        losses: rank.losses ?? 0,
+      },
+      api: { degraded, budget: riotBudget(budget.host) },
+    };
+
+    recordEvents(acc, detectEvents(CACHE.data, data, parts, acc.ranks.snapshots));
+    // outgoing webhooks follow the default account only; sending happens in the background
+    if (acc.pinned) {
+      await queueWebhooks(acc, parts, rankViews).catch((e) => console.warn(`Webhooks not queued: ${e?.message || e}`));
+      deliverWebhooks(acc);
+    }
+    // a copy: the publish delay keeps this state, recordEvents keeps changing acc.events
+    data.events = [...acc.events];
+    CACHE.data = data;
+    bufferState(acc, data);
+
+    CACHE.error = null;
+    CACHE.updatedAt = CACHE.lastSuccessAt = Date.now();
+    refreshes.inc({ result: "success" });
+  } catch (e) {
+    CACHE.error = String(e?.message || e);
+    CACHE.updatedAt = CACHE.lastFailureAt = Date.now();
+    refreshes.inc({ result: "failure" });
+  }
+  refreshSeconds.observe({}, (Date.now() - started) / 1000);
+  publish(acc);
+}
@@ -0,0 +1,110 @@
+import { MATCH_FETCH_COUNT } from "./config.js";
+import { riotGet } from "./riotClient.js";
+
+const PLATFORM_REGIONAL = {
+  br1: "americas",
+  la1: "americas",
+  la2: "americas",
+  na1: "americas",
+  eun1: "europe",
+  euw1: "europe",
+  me1: "europe",
+  ru: "europe",
+  tr1: "europe",
+  jp1: "asia",
+  kr: "asia",
+  oc1: "sea",
+  ph2: "sea",
+  sg2: "sea",
+  th2: "sea",
+  tw2: "sea",
+  vn2: "sea",
+};
+
+export function platformToRegional(platform) {
+  return PLATFORM_REGIONAL[(platform || "").toLowerCase()] || null;
+}
+
+// account-v1 is not served from the SEA cluster
+function accountRouting(regional) {
+  return regional === "sea" ? "asia" : regional;
+}
+
+export function platformToRegionShort(platform) {
+  const p = (platform || "").toLowerCase();
+  if (p === "euw1") return "EUW";
+  if (p === "eun1") return "EUNE";
+  if (p === "na1") return "NA";
+  if (p === "kr") return "KR";
+  return platform.toUpperCase();
+}
+
+export async function getAccountByRiotId(acc) {
+  return riotGet(
+    `https://${accountRouting(acc.regional)}.api.riotgames.com/riot/account/v1/accounts/by-riot-id/${encodeURIComponent(
+      acc.gameName
+    )}/${encodeURIComponent(acc.tagLine)}`,
+    "account-v1.by-riot-id"
+  );
+}
+
+export async function getLeagueEntriesByPuuid(acc, puuid) {
+  return riotGet(
+    `https://${acc.platform}.api.riotgames.com/lol/league/v4/entries/by-puuid/${encodeURIComponent(puuid)}`,
+    "league-v4.entries-by-puuid"
+  );
+}
+
+export async function getMatchIdsByPuuid(acc, puuid, { start = 0, count = MATCH_FETCH_COUNT, startTime, queue } = {}) {
+  const qs = new URLSearchParams({ start: String(start), count: String(count) });
+  if (startTime) qs.set("startTime", String(startTime));
+  if (queue) qs.set("queue", String(queue));
+  return riotGet(
+    `https://${acc.regional}.api.riotgames.com/lol/match/v5/matches/by-puuid/${encodeURIComponent(puuid)}/ids?${qs}`,
+    "match-v5.ids-by-puuid"
+  );
+}
+
+export async function getMatch(acc, matchId) {
+  return riotGet(
+    `https://${acc.regional}.api.riotgames.com/lol/match/v5/matches/${encodeURIComponent(matchId)}`,
+    "match-v5.match"
+  );
+}
+
+export async function getActiveGameByPuuid(acc, puuid) {
+  try {
+    return await riotGet(
+      `https://${acc.platform}.api.riotgames.com/lol/spectator/v5/active-games/by-summoner/${encodeURIComponent(
+        puuid
+      )}`,
+      "spectator-v5.active-game"
+    );
+  } catch (e) {
+    if (e.status === 404) return null; // not in game
+    throw e;
+  }
+}
+
+export async function getChampionMasteriesByPuuid(acc, puuid) {
+  return riotGet(
+    `https://${acc.platform}.api.riotgames.com/lol/champion-mastery/v4/champion-masteries/by-puuid/${encodeURIComponent(
+      puuid
+    )}`,
+    "champion-mastery-v4.by-puuid"
+  );
+}
+
+const APEX_LEAGUE_PATHS = {
+  MASTER: "masterleagues",
+  GRANDMASTER: "grandmasterleagues",
+  CHALLENGER: "challengerleagues",
+};
+
+export async function getApexLeague(acc, tier, queue) {
+  const league = APEX_LEAGUE_PATHS[tier];
+  return riotGet(
+    `https://${acc.platform}.api.riotgames.com/lol/league/v4/${league}/by-queue/${encodeURIComponent(queue)}`,
+    `league-v4.${league}`
+  );
+}
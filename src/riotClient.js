@@ -0,0 +1,164 @@
+import { RIOT_API_KEY, RIOT_APP_RATE_LIMIT, RIOT_MAX_RETRIES } from "./config.js";
+import { fetchUrl, readJson, sleep } from "./http.js";
+import { riotRequestSeconds, riotRequests } from "./metrics.js";
+
+function riotHeaders() {
+  return { "X-Riot-Token": RIOT_API_KEY };
+}
+
+/*
+  Riot counts app limits per routing host and method limits per host + endpoint.
+  Every call reserves a slot in both buckets before it is sent; reservations for
+  one host are granted in order, so bursts get spread over the limit windows.
+*/
+const RATE_BUCKETS = new Map();
+const HOST_QUEUES = new Map();
+const HOST_QUEUED = new Map();
+
+// "20:1,100:120" -> [{ n: 20, windowMs: 1000 }, { n: 100, windowMs: 120000 }]
+function parseRateHeader(value) {
+  return String(value || "")
+    .split(",")
+    .map((part) => {
+      const [n, seconds] = part.split(":").map(Number);
+      return { n, windowMs: seconds * 1000 };
+    })
+    .filter((w) => Number.isFinite(w.n) && w.windowMs > 0);
+}
+
+function getBucket(key, defaultWindows = []) {
+  let b = RATE_BUCKETS.get(key);
+  if (!b) {
+    b = { windows: defaultWindows, sent: [], blockedUntil: 0 };
+    RATE_BUCKETS.set(key, b);
+  }
+  return b;
+}
+
+function appBucket(host) {
+  return getBucket(`app:${host}`, parseRateHeader(RIOT_APP_RATE_LIMIT));
+}
+
+function methodBucket(host, method) {
+  return getBucket(`method:${host}:${method}`);
+}
+
+function sentWithin(b, windowMs, now) {
+  let count = 0;
+  for (let i = b.sent.length - 1; i >= 0 && now - b.sent[i] < windowMs; i--) count++;
+  return count;
+}
+
+function bucketWaitMs(b, now) {
+  let wait = Math.max(0, b.blockedUntil - now);
+  for (const w of b.windows) {
+    const used = sentWithin(b, w.windowMs, now);
+    if (used >= w.n) {
+      // a slot frees up once the n-th most recent call leaves the window
+      wait = Math.max(wait, b.sent[b.sent.length - w.n] + w.windowMs - now);
+    }
+  }
+  return wait;
+}
+
+function pruneBucket(b, now) {
+  const longest = Math.max(0, ...b.windows.map((w) => w.windowMs));
+  while (b.sent.length && now - b.sent[0] >= longest) b.sent.shift();
+}
+
+function reserveSlot(host, method) {
+  const buckets = [appBucket(host), methodBucket(host, method)];
+  HOST_QUEUED.set(host, (HOST_QUEUED.get(host) || 0) + 1);
+
+  const turn = (HOST_QUEUES.get(host) || Promise.resolve()).then(async () => {
+    for (;;) {
+      const now = Date.now();
+      const wait = Math.max(...buckets.map((b) => bucketWaitMs(b, now)));
+      if (wait <= 0) break;
+      await sleep(wait);
+    }
+    const now = Date.now();
+    for (const b of buckets) {
+      pruneBucket(b, now);
+      b.sent.push(now);
+    }
+    HOST_QUEUED.set(host, HOST_QUEUED.get(host) - 1);
+  });
+
+  HOST_QUEUES.set(host, turn);
+  return turn;
+}
+
+/* take Riot's view of limits and counts (other processes may share the key) */
+function syncBucket(b, limitHeader, countHeader) {
+  const limits = parseRateHeader(limitHeader);
+  if (limits.length) b.windows = limits;
+
+  const now = Date.now();
+  for (const c of parseRateHeader(countHeader)) {
+    for (let used = sentWithin(b, c.windowMs, now); used < c.n; used++) b.sent.push(now);
+  }
+}
+
+function backoffMs(attempt) {
+  return 500 * 2 ** attempt + Math.floor(Math.random() * 500);
+}
+
+export async function riotGet(url, method = "default") {
+  const host = new URL(url).host;
+
+  for (let attempt = 0; ; attempt++) {
+    await reserveSlot(host, method);
+    const started = process.hrtime.bigint();
+    let r;
+    try {
+      r = await fetchUrl(url, { headers: riotHeaders() });
+    } catch (e) {
+      riotRequests.inc({ method, status: "network_error" });
+      throw e;
+    } finally {
+      riotRequestSeconds.observe({ method }, Number(process.hrtime.bigint() - started) / 1e9);
+    }
+    riotRequests.inc({ method, status: r.status });
+
+    syncBucket(appBucket(host), r.headers.get("x-app-rate-limit"), r.headers.get("x-app-rate-limit-count"));
+    syncBucket(
+      methodBucket(host, method),
+      r.headers.get("x-method-rate-limit"),
+      r.headers.get("x-method-rate-limit-count")
+    );
+
+    if (r.status === 429 && attempt < RIOT_MAX_RETRIES) {
+      const retryAfter = Number(r.headers.get("retry-after"));
+      const waitMs = retryAfter > 0 ? retryAfter * 1000 : backoffMs(attempt);
+      const type = r.headers.get("x-rate-limit-type");
+      // "service" 429s come from Riot's backend, not from our key
+      if (type === "application") appBucket(host).blockedUntil = Date.now() + waitMs;
+      else if (type === "method") methodBucket(host, method).blockedUntil = Date.now() + waitMs;
+      else await sleep(waitMs);
+      continue;
+    }
+
+    if (r.status >= 500 && attempt < RIOT_MAX_RETRIES) {
+      await sleep(backoffMs(attempt));
+      continue;
+    }
+
+    return readJson(url, r);
+  }
+}
+
+/* calls the app limit still allows right now on a routing host */
+export function riotBudget(host) {
+  const b = appBucket(host);
+  const now = Date.now();
+  const remaining = b.windows.length
+    ? Math.max(0, Math.min(...b.windows.map((w) => w.n - sentWithin(b, w.windowMs, now))))
+    : null;
+  return {
+    host,
+    remaining,
+    blockedMs: Math.max(0, b.blockedUntil - now),
+    queued: HOST_QUEUED.get(host) || 0,
+  };
+}
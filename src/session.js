@@ -0,0 +1,43 @@
+import { SESSION_GAMES, SESSION_GAP_MINUTES, SESSION_MODE, SESSION_STREAM_START, SESSION_TIMEZONE } from "./config.js";
+import { dataFile, readJsonFile, writeJsonFile } from "./storage.js";
+
+export const SESSION_SETTINGS = {
+  mode: SESSION_MODE,
+  gapMinutes: SESSION_GAP_MINUTES,
+  timeZone: SESSION_TIMEZONE,
+  games: SESSION_GAMES,
+};
+
+export const SERVER_STARTED_AT = Date.now();
+
+/* epoch ms or an ISO date -> epoch ms, null when unparseable */
+export function parseTimestamp(value) {
+  // only numbers and strings: new Date(true) would be epoch 1
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (typeof value !== "string" || value === "") return null;
+  const t = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+function sessionFile(acc) {
+  return dataFile("sessions", `${acc.key}.json`);
+}
+
+function sessionState(baseline) {
+  return {
+    baseline,
+    // stream start: manual reset, then SESSION_STREAM_START, then server start
+    startedAt: baseline ?? parseTimestamp(SESSION_STREAM_START) ?? SERVER_STARTED_AT,
+  };
+}
+
+export async function loadSessionState(acc) {
+  const saved = await readJsonFile(sessionFile(acc), {});
+  return sessionState(typeof saved.baseline === "number" ? saved.baseline : null);
+}
+
+/* manual session reset; `baseline` null goes back to the configured session rule */
+export async function setSessionBaseline(acc, baseline) {
+  acc.session = sessionState(baseline);
+  await writeJsonFile(sessionFile(acc), { baseline });
+}
@@ -0,0 +1,37 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+import { DATA_DIR } from "./config.js";
+
+export async function readJsonFile(file, fallback) {
+  let text;
+  try {
+    text = await fs.readFile(file, "utf8");
+  } catch (e) {
+    if (e.code === "ENOENT") return fallback;
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    console.warn(`Ignoring corrupt data file: ${file}`);
+    return fallback;
+  }
+}
+
+/* write-then-rename, so a crash never leaves a half-written file behind */
+export async function writeFileAtomic(file, contents) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, contents);
+  await fs.rename(tmp, file);
+}
+
+export async function writeJsonFile(file, data) {
+  await writeFileAtomic(file, JSON.stringify(data));
+}
+
+/* each part percent-encoded: distinct account keys ("kr/한국#kr1", "kr/일본#kr1") never share a file */
+export function dataFile(...parts) {
+  return path.join(DATA_DIR, ...parts.map(encodeURIComponent));
+}
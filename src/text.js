@@ -0,0 +1,88 @@
+import { TEXT_FALLBACK } from "./config.js";
+import { pctInt, queueName } from "./aggregate.js";
+import { widgetPayload } from "./payload.js";
+
+/*
+  /widget.txt?template=<name or template> for Nightbot/StreamElements style
+  chatbots. Placeholders are payload paths with optional helpers:
+  "{rank.lp}", "{session.lp|sign}", "{last.championName|upper}", "{x|default:-}".
+*/
+const TEXT_TEMPLATES = {
+  rank: "{player.riotId}: {rank.display} {rank.lp}LP ({season.wins}W-{season.losses}L, {season.winrate}%)",
+  session: "Session: {session.wins}W-{session.losses}L | KDA {session.kda} | {session.lp|sign|default:?}LP",
+  lastgame:
+    "Last game: {last.result} as {last.championName} {last.kills}/{last.deaths}/{last.assists} ({last.lp|sign|default:?}LP)",
+  winrate: "Winrate: season {season.winrate}% in {season.games} games | session {session.winrate}% in {session.games}",
+  mastery:
+    "{mastery.current.championName|default:-}: mastery {mastery.current.level|default:-} ({mastery.current.points|default:0} pts)",
+};
+
+const TEXT_HELPERS = {
+  upper: (v) => String(v).toUpperCase(),
+  lower: (v) => String(v).toLowerCase(),
+  title: (v) =>
+    String(v)
+      .toLowerCase()
+      .replace(/\b\w/g, (c) => c.toUpperCase()),
+  sign: (v) => (typeof v === "number" && v > 0 ? `+${v}` : v),
+  round: (v) => (Number.isFinite(Number(v)) ? Math.round(Number(v)) : v),
+  fixed: (v, digits) => (Number.isFinite(Number(v)) ? Number(v).toFixed(Math.min(Number(digits) || 0, 4)) : v),
+  pct: (v) => `${v}%`,
+};
+
+/* own properties only: "{constructor}" or "{rank.toString}" must not reach the prototype */
+function lookupPath(obj, dotted) {
+  return dotted.split(".").reduce((o, k) => (o != null && Object.hasOwn(Object(o), k) ? o[k] : undefined), obj);
+}
+
+export function renderTemplate(template, context) {
+  return template.replace(/\{([\w.]+)((?:\|[\w]+(?::[^|}]*)?)*)\}/g, (_m, key, pipes) => {
+    let value = lookupPath(context, key);
+    let fallback = ""; // "default:<text>" is handled here, it applies to the final value
+    for (const pipe of pipes.split("|").slice(1)) {
+      const [name, ...args] = pipe.split(":");
+      if (name === "default") {
+        fallback = args.join(":");
+        continue;
+      }
+      if (value == null || value === "" || !Object.hasOwn(TEXT_HELPERS, name)) continue;
+      value = TEXT_HELPERS[name](value, ...args);
+    }
+    return value == null || value === "" ? fallback : String(value);
+  });
+}
+
+/*
+  payload plus a few fields that only matter for chat: last game stats and session
+  winrate. Everything comes from the payload, so the publish delay applies here too.
+*/
+function textContext(payload) {
+  const lastGame = payload.matchHistory?.lastN?.[0];
+  const last = lastGame && {
+    ...lastGame,
+    result: lastGame.remake ? "Remake" : lastGame.win ? "W" : "L",
+    kda: ((lastGame.kills + lastGame.assists) / Math.max(1, lastGame.deaths)).toFixed(1),
+    lp: lastGame.lpDelta,
+    queue: queueName(lastGame.queueId),
+  };
+  const session = payload.session && {
+    ...payload.session,
+    winrate: pctInt(payload.session.wins, payload.session.games),
+  };
+  return { ...payload, session, last };
+}
+
+export function sendWidgetText(req, res, acc) {
+  res.setHeader("Content-Type", "text/plain; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+
+  const fallback = typeof req.query.fallback === "string" ? req.query.fallback : TEXT_FALLBACK;
+  const payload = widgetPayload(acc);
+  if (!payload.ok) return res.end(fallback);
+
+  const requested = typeof req.query.template === "string" ? req.query.template : "rank";
+  const name = requested.toLowerCase();
+  const template = Object.hasOwn(TEXT_TEMPLATES, name) ? TEXT_TEMPLATES[name] : requested;
+  // chatbots cap replies around 400-500 characters
+  res.end(renderTemplate(template, textContext(payload)).slice(0, 400));
+}
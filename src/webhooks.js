@@ -0,0 +1,244 @@
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+import { WEBHOOKS_FILE, WEBHOOK_LOG_LIMIT, WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_SECONDS } from "./config.js";
+import { DDRAGON_CDN, DDRAGON_VERSION, championDisplayName, ddragonImagePath } from "./ddragon.js";
+import { detectEvents } from "./events.js";
+import { dataFile, readJsonFile, writeJsonFile } from "./storage.js";
+
+/*
+  WEBHOOKS_FILE holds a JSON array of
+    { "name": "team-discord", "url": "https://...", "format": "json" | "discord",
+      "secret": "...", "events": ["match_won", "tier_promoted", ...] }
+  Only `url` is required. The events are the overlay alert types (events.js),
+  by default the match results and rank changes. With a secret, every request
+  carries X-Webhook-Signature: sha256=<HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>">.
+*/
+export const WEBHOOK_FORMATS = ["json", "discord"];
+export const WEBHOOK_DEFAULT_EVENTS = ["match_won", "match_lost", "division_promoted", "tier_promoted", "demoted"];
+const WEBHOOK_EVENTS = [...WEBHOOK_DEFAULT_EVENTS, "lp_changed", "win_streak", "loss_streak"];
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+function parseWebhook(hook, i) {
+  const invalid = (why) => new Error(`Invalid webhook #${i + 1} in ${WEBHOOKS_FILE}: ${why}`);
+  if (!hook || typeof hook !== "object") throw invalid("expected an object");
+
+  let url;
+  try {
+    url = new URL(hook.url);
+  } catch {
+    throw invalid(`bad url ${JSON.stringify(hook.url)}`);
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") throw invalid("url must be http(s)");
+
+  const format = hook.format ?? "json";
+  if (!WEBHOOK_FORMATS.includes(format)) throw invalid(`format must be one of ${WEBHOOK_FORMATS.join(", ")}`);
+  const events = hook.events ?? WEBHOOK_DEFAULT_EVENTS;
+  const unknown = Array.isArray(events) ? events.filter((e) => !WEBHOOK_EVENTS.includes(e)) : [events];
+  if (unknown.length) throw invalid(`unknown events ${unknown.join(", ")} (expected ${WEBHOOK_EVENTS.join(", ")})`);
+  if (hook.secret !== undefined && typeof hook.secret !== "string") throw invalid("secret must be a string");
+
+  return { name: String(hook.name || url.host), url: url.href, format, events, secret: hook.secret || "" };
+}
+
+async function loadWebhooks() {
+  const raw = await readJsonFile(WEBHOOKS_FILE, []);
+  if (!Array.isArray(raw)) throw new Error(`Invalid ${WEBHOOKS_FILE}: expected an array of webhooks`);
+  const hooks = raw.map(parseWebhook);
+  // deliveries in the log point at their webhook by name
+  const names = hooks.map((h) => h.name);
+  const dupe = names.find((n, i) => names.indexOf(n) !== i);
+  if (dupe) throw new Error(`Invalid ${WEBHOOKS_FILE}: webhook name "${dupe}" is used twice`);
+  return hooks;
+}
+
+export const WEBHOOKS = await loadWebhooks();
+
+/*
+  Per account state in data/webhooks/: `seen` is the newest match and the ranks
+  that were turned into deliveries already, `deliveries` the log. Both are saved
+  together before anything is sent, so after a restart nothing is queued twice
+  and pending deliveries carry on. Each delivery has a stable id (X-Webhook-Id)
+  for receivers that want to drop a resend after a crash mid-request.
+*/
+function webhookFile(acc) {
+  return dataFile("webhooks", `${acc.key}.json`);
+}
+
+async function webhookState(acc) {
+  if (!acc.webhooks) {
+    const raw = await readJsonFile(webhookFile(acc), {});
+    acc.webhooks = { seen: raw.seen ?? null, deliveries: Array.isArray(raw.deliveries) ? raw.deliveries : [] };
+  }
+  return acc.webhooks;
+}
+
+async function saveWebhookState(acc) {
+  // settled deliveries beyond WEBHOOK_LOG_LIMIT go, pending ones always stay
+  const settled = acc.webhooks.deliveries.filter((d) => d.status !== "pending");
+  const drop = new Set(settled.slice(0, Math.max(0, settled.length - WEBHOOK_LOG_LIMIT)));
+  acc.webhooks.deliveries = acc.webhooks.deliveries.filter((d) => !drop.has(d));
+  await writeJsonFile(webhookFile(acc), acc.webhooks);
+}
+
+/*
+  Queueing and the delivery loop share the state file: reads and writes of it
+  take turns per account. Requests are sent outside of it, so a slow webhook
+  never holds up queueing (and with it the refresh).
+*/
+function exclusive(acc, fn) {
+  const run = (acc.webhookRun || Promise.resolve()).then(fn);
+  acc.webhookRun = run.catch(() => {});
+  return run;
+}
+
+/*
+  Queues a delivery per webhook for every new match result and rank change since
+  the last call. The very first call only remembers where things stand, so
+  enabling webhooks does not replay the whole match history.
+*/
+export function queueWebhooks(acc, parts, ranks) {
+  if (!WEBHOOKS.length) return Promise.resolve();
+  return exclusive(acc, async () => {
+    const state = await webhookState(acc);
+    const prev = state.seen && { matchHistory: { lastN: [{ matchId: state.seen.matchId }] }, ranks: state.seen.ranks };
+    const now = Date.now();
+    for (const event of detectEvents(prev, { ranks }, parts, acc.ranks.snapshots)) {
+      for (const hook of WEBHOOKS.filter((h) => h.events.includes(event.type))) {
+        state.deliveries.push({
+          id: crypto.randomUUID(),
+          webhook: hook.name,
+          event,
+          createdAt: now,
+          status: "pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          lastAttemptAt: null,
+          error: null,
+        });
+      }
+    }
+    state.seen = {
+      matchId: parts[0]?.matchId ?? null,
+      ranks: ranks.map(({ queue, tier, rank, lp, display }) => ({ queue, tier, rank, lp, display })),
+    };
+    await saveWebhookState(acc);
+  });
+}
+
+function signedLp(n) {
+  return n == null ? null : `${n > 0 ? "+" : ""}${n} LP`;
+}
+
+const DISCORD_COLORS = { win: 0x2e9e5b, loss: 0xc8413c, promoted: 0xd4a93c, demoted: 0x7a7f87, lp: 0x4a90d9 };
+
+function discordEmbed(event) {
+  switch (event.type) {
+    case "match_won":
+    case "match_lost": {
+      const won = event.type === "match_won";
+      const icon = ddragonImagePath("champion", event.championName);
+      const kda = `${event.kills}/${event.deaths}/${event.assists}`;
+      const lp = signedLp(event.lpDelta);
+      return {
+        title: `${won ? "Victory" : "Defeat"} as ${championDisplayName(event.championName)}`,
+        description: lp ? `${kda} · ${lp}` : kda,
+        color: won ? DISCORD_COLORS.win : DISCORD_COLORS.loss,
+        thumbnail: icon ? { url: `${DDRAGON_CDN}/${DDRAGON_VERSION}/img/${icon}` } : undefined,
+      };
+    }
+    case "tier_promoted":
+    case "division_promoted":
+      return { title: `Promoted to ${event.to}`, description: `from ${event.from}`, color: DISCORD_COLORS.promoted };
+    case "demoted":
+      return { title: `Demoted to ${event.to}`, description: `from ${event.from}`, color: DISCORD_COLORS.demoted };
+    case "lp_changed":
+      return { title: signedLp(event.lpDelta), description: `${event.lp} LP`, color: DISCORD_COLORS.lp };
+    default: {
+      const won = event.type === "win_streak";
+      return {
+        title: `${event.count} game ${won ? "win" : "loss"} streak`,
+        color: won ? DISCORD_COLORS.win : DISCORD_COLORS.loss,
+      };
+    }
+  }
+}
+
+/* the request body for a delivery in the webhook's format */
+export function webhookBody(acc, hook, delivery) {
+  const account = { riotId: `${acc.gameName}#${acc.tagLine}`, platform: acc.platform };
+  if (hook.format === "discord") {
+    const embed = {
+      ...discordEmbed(delivery.event),
+      author: { name: account.riotId },
+      timestamp: new Date(delivery.createdAt).toISOString(),
+    };
+    return { embeds: [embed] };
+  }
+  return { id: delivery.id, type: delivery.event.type, at: delivery.createdAt, account, event: delivery.event };
+}
+
+export function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+async function attemptDelivery(acc, hook, delivery) {
+  const body = JSON.stringify(webhookBody(acc, hook, delivery));
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    "Content-Type": "application/json",
+    "X-Webhook-Id": delivery.id,
+    "X-Webhook-Event": delivery.event.type,
+    "X-Webhook-Timestamp": timestamp,
+  };
+  if (hook.secret) headers["X-Webhook-Signature"] = signWebhook(hook.secret, timestamp, body);
+
+  delivery.attempts++;
+  delivery.lastAttemptAt = Date.now();
+  try {
+    // not through fetchUrl: webhooks are real endpoints, also with the mock Riot backend
+    const r = await fetch(hook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    if (r.ok) {
+      Object.assign(delivery, { status: "delivered", error: null });
+      return;
+    }
+    delivery.error = `HTTP ${r.status}`;
+    // any other client error comes back the same however often it is sent
+    if (r.status < 500 && r.status !== 408 && r.status !== 429) {
+      delivery.status = "failed";
+      return;
+    }
+  } catch (e) {
+    delivery.error = String(e?.message || e);
+  }
+  if (delivery.attempts >= WEBHOOK_MAX_ATTEMPTS) delivery.status = "failed";
+  else delivery.nextAttemptAt = Date.now() + WEBHOOK_RETRY_SECONDS * 1000 * 2 ** (delivery.attempts - 1);
+}
+
+/*
+  Sends the pending deliveries that are due, one loop per account at a time;
+  callers during a running loop share it. Never rejects, the log keeps the errors.
+*/
+export function deliverWebhooks(acc) {
+  if (!WEBHOOKS.length) return Promise.resolve();
+  if (acc.webhookSending) return acc.webhookSending;
+
+  acc.webhookSending = (async () => {
+    const state = await exclusive(acc, () => webhookState(acc));
+    const due = state.deliveries.filter((d) => d.status === "pending" && d.nextAttemptAt <= Date.now());
+    for (const delivery of due) {
+      const hook = WEBHOOKS.find((h) => h.name === delivery.webhook);
+      if (hook) await attemptDelivery(acc, hook, delivery);
+      else Object.assign(delivery, { status: "failed", error: "webhook no longer configured" });
+      // saved after every attempt, so a restart does not send it again
+      await exclusive(acc, () => saveWebhookState(acc));
+    }
+  })()
+    .catch((e) => console.warn(`Webhook delivery log not saved: ${e?.message || e}`))
+    .finally(() => (acc.webhookSending = null));
+  return acc.webhookSending;
+}
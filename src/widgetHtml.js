@@ -0,0 +1,1066 @@
+import { SSE_HEARTBEAT_SECONDS, SSE_RETRY_MS } from "./config.js";
+import { SLIDE_IDS, layoutCss, scriptJson } from "./layout.js";
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" };
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"]/g, (c) => HTML_ESCAPES[c]);
+}
+
+export function widgetHtml({ jsonUrl, eventsUrl, layout, locale, warnings }) {
+  // static labels are rendered here, everything filled in from the payload goes through t() in the page
+  const label = (key) => escapeHtml(locale.labels?.[key] ?? key);
+  return `<!doctype html>
+<html lang="${escapeHtml(locale.htmlLang || layout.lang)}">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>LoL Widget</title>
+<style>
+  :root{
+    --bgA: rgba(6,6,7,0.96);
+    --bgB: rgba(14,14,16,0.62);
+    --txt: rgba(255,255,255,0.94);
+    --muted: rgba(255,255,255,0.60);
+
+    /* MOTYW: czarno-czerwony (domyślnie, patrz THEMES) */${layoutCss(layout)}
+    --acc: rgba(var(--accRGB),0.95);
+    --acc2: rgba(var(--acc2RGB),0.95);
+
+    /* W/L: WIN musi być zielony */
+    --win: rgba(78,255,155,0.95);
+    --win2: rgba(22,200,120,0.95);
+    --loss: rgba(255,70,70,0.98);
+    --loss2: rgba(140,0,0,0.98);
+
+    --warn: rgba(255,190,90,0.95);
+    --shadow: 0 16px 46px rgba(0,0,0,0.55);
+
+    --padX: 12px;
+
+    /* flame */
+    --flameDot: 8px;
+    --edgeInset: 2px;
+  }
+
+  html,body{margin:0;background:transparent;font-family:Inter,system-ui,Segoe UI,Arial;color:var(--txt);}
+
+  .bar{
+    width: var(--W);
+    height: var(--H);
+    border-radius: 14px;
+    background:
+      linear-gradient(180deg, rgba(0,0,0,0.62) 0%, rgba(0,0,0,0.18) 55%, transparent 100%),
+      radial-gradient(320px 140px at 20% 30%, rgba(var(--accRGB),0.10), transparent 62%),
+      linear-gradient(180deg, var(--bgB), var(--bgA));
+    border: 1px solid rgba(255,255,255,0.12);
+    box-shadow: var(--shadow);
+    overflow:hidden;
+    position:relative;
+    backdrop-filter: blur(10px);
+    box-sizing: border-box;
+  }
+
+  .bar:before{
+    content:"";
+    position:absolute; inset:0;
+    background-image:
+      radial-gradient(circle at 18% 28%, rgba(255,255,255,0.05), transparent 40%),
+      radial-gradient(circle at 76% 12%, rgba(255,255,255,0.04), transparent 45%);
+    opacity:.18;
+    pointer-events:none;
+  }
+
+  /* Dolna linia: czerwona */
+  .line{
+    position:absolute; left:0; right:0; bottom:0; height:2px;
+    background: linear-gradient(90deg, transparent, var(--acc), transparent);
+    opacity:.95;
+    pointer-events:none;
+    animation: linePulse 3.2s ease-in-out infinite;
+    z-index:2;
+  }
+  @keyframes linePulse{
+    0%,100%{ opacity:.70; filter: blur(0px); }
+    50%{ opacity:1; filter: blur(0.2px); }
+  }
+
+  /* Flame na obwodzie: czerwony */
+  .flameTrack{
+    position:absolute;
+    inset: 0;
+    border-radius: 14px;
+    pointer-events:none;
+    z-index:3;
+  }
+
+  .flame{
+    position:absolute;
+    width: var(--flameDot);
+    height: var(--flameDot);
+    border-radius: 999px;
+    transform: translate(-50%, -50%) rotate(0deg);
+    animation: borderOrbit 6.8s linear infinite, flicker 0.42s ease-in-out infinite;
+    filter: drop-shadow(0 0 10px rgba(var(--accRGB),0.60)) drop-shadow(0 0 20px rgba(var(--accRGB),0.22));
+  }
+
+  .flame:before{
+    content:"";
+    position:absolute; inset:0;
+    border-radius: 999px;
+    background: radial-gradient(circle at 35% 35%,
+      rgba(255,255,255,0.85),
+      rgba(var(--accRGB),0.95) 40%,
+      rgba(var(--acc2RGB),0.45) 70%,
+      rgba(var(--acc2RGB),0.0) 100%);
+  }
+
+  .flame:after{
+    content:"";
+    position:absolute;
+    left: 50%; top: 50%;
+    transform: translate(-50%,-50%);
+    width: 28px;
+    height: 16px;
+    border-radius: 999px;
+    background: linear-gradient(90deg,
+      rgba(var(--accRGB),0.00),
+      rgba(var(--accRGB),0.22),
+      rgba(var(--accRGB),0.00));
+    filter: blur(7px);
+    opacity: .85;
+    mix-blend-mode: screen;
+  }
+
+  @keyframes flicker{
+    0%,100%{ transform: translate(-50%, -50%) scale(1); }
+    50%{ transform: translate(-50%, -50%) scale(1.08); }
+  }
+
+  @keyframes borderOrbit{
+    0% { left: calc(var(--edgeInset)); top: calc(var(--edgeInset)); transform: translate(-50%, -50%) rotate(0deg); }
+    24% { left: calc(100% - var(--edgeInset)); top: calc(var(--edgeInset)); transform: translate(-50%, -50%) rotate(0deg); }
+    25% { left: calc(100% - var(--edgeInset)); top: calc(var(--edgeInset)); transform: translate(-50%, -50%) rotate(90deg); }
+    49% { left: calc(100% - var(--edgeInset)); top: calc(100% - var(--edgeInset)); transform: translate(-50%, -50%) rotate(90deg); }
+    50% { left: calc(100% - var(--edgeInset)); top: calc(100% - var(--edgeInset)); transform: translate(-50%, -50%) rotate(180deg); }
+    74% { left: calc(var(--edgeInset)); top: calc(100% - var(--edgeInset)); transform: translate(-50%, -50%) rotate(180deg); }
+    75% { left: calc(var(--edgeInset)); top: calc(100% - var(--edgeInset)); transform: translate(-50%, -50%) rotate(270deg); }
+    99% { left: calc(var(--edgeInset)); top: calc(var(--edgeInset)); transform: translate(-50%, -50%) rotate(270deg); }
+    100% { left: calc(var(--edgeInset)); top: calc(var(--edgeInset)); transform: translate(-50%, -50%) rotate(360deg); }
+  }
+
+  .err{
+    position:absolute; left:10px; bottom:6px;
+    font-size:10px; color: rgba(255,160,160,0.95);
+    user-select:none;
+    z-index:5;
+  }
+
+  .slide{
+    position:absolute; inset:0;
+    opacity:0;
+    transform: translateY(8px);
+    transition: opacity 1050ms cubic-bezier(.18,.88,.22,1), transform 1050ms cubic-bezier(.18,.88,.22,1);
+    pointer-events:none;
+    z-index:4;
+  }
+  .slide.active{ opacity:1; transform: translateY(0); }
+
+  .pad{
+    height:100%;
+    display:flex;
+    align-items:center;
+    justify-content:space-between;
+    padding: 0 var(--padX);
+    gap: 10px;
+    position:relative;
+    z-index:4;
+    box-sizing: border-box;
+  }
+
+  .left, .right{
+    display:flex;
+    align-items:center;
+    gap: 10px;
+    min-width: 0;
+  }
+  .right{ justify-content:flex-end; }
+
+  .stack{display:flex;flex-direction:column;gap:4px;min-width:0;}
+  .label{
+    font-size:11px;
+    letter-spacing:.16em;
+    text-transform:uppercase;
+    color: rgba(255,255,255,0.56);
+    user-select:none;
+    line-height:1;
+  }
+  .big{
+    font-size:20px;
+    font-weight:950;
+    letter-spacing:-0.02em;
+    line-height:1.05;
+    white-space:nowrap;
+    overflow:hidden;
+    text-overflow:ellipsis;
+  }
+  .muted{ color: var(--muted); font-size:13px; font-weight:800; }
+
+  .sep{
+    width:1px; height:52px;
+    background: rgba(255,255,255,0.10);
+    border-radius:999px;
+    flex:0 0 auto;
+  }
+
+  .emblem{
+    width: 50px; height: 50px;
+    border-radius: 12px;
+    border: 1px solid rgba(255,255,255,0.10);
+    background: rgba(0,0,0,0.34);
+    display:flex; align-items:center; justify-content:center;
+    overflow:hidden;
+    flex:0 0 auto;
+  }
+  .emblem img{ width: 48px; height: 48px; object-fit:contain; }
+
+  /* tier-colored frame; brighter glow the closer the division is to the next tier */
+  .emblem{ position:relative; }
+  .emblem[data-tier="IRON"]{ --tierRGB: 138,127,121; }
+  .emblem[data-tier="BRONZE"]{ --tierRGB: 196,138,92; }
+  .emblem[data-tier="SILVER"]{ --tierRGB: 201,211,220; }
+  .emblem[data-tier="GOLD"]{ --tierRGB: 240,205,120; }
+  .emblem[data-tier="PLATINUM"]{ --tierRGB: 111,224,208; }
+  .emblem[data-tier="EMERALD"]{ --tierRGB: 69,224,142; }
+  .emblem[data-tier="DIAMOND"]{ --tierRGB: 156,188,255; }
+  .emblem[data-tier="MASTER"]{ --tierRGB: 210,140,255; }
+  .emblem[data-tier="GRANDMASTER"]{ --tierRGB: 255,112,112; }
+  .emblem[data-tier="CHALLENGER"]{ --tierRGB: 159,240,255; }
+  .emblem[data-tier]{ border-color: rgba(var(--tierRGB),0.45); }
+  .emblem[data-division="IV"]{ box-shadow: 0 0 6px rgba(var(--tierRGB),0.10); }
+  .emblem[data-division="III"]{ box-shadow: 0 0 8px rgba(var(--tierRGB),0.20); }
+  .emblem[data-division="II"]{ box-shadow: 0 0 10px rgba(var(--tierRGB),0.32); }
+  .emblem[data-division="I"]{ box-shadow: 0 0 12px rgba(var(--tierRGB),0.45); }
+  .emblem[data-division="APEX"]{ box-shadow: 0 0 14px rgba(var(--tierRGB),0.60); }
+  .divTag{
+    position:absolute; right:2px; bottom:2px;
+    min-width:14px; padding:0 3px;
+    border-radius:6px;
+    background: rgba(0,0,0,0.62);
+    border: 1px solid rgba(var(--tierRGB, 255,255,255),0.45);
+    font-size:9px; font-weight:950; line-height:13px;
+    text-align:center;
+  }
+  .divTag:empty{ display:none; }
+
+  .mhWrap{ display:flex; flex-direction:column; gap:9px; width:100%; }
+  .mhRow{ display:flex; align-items:center; gap:6px; }
+
+  .champ{
+    width: 26px; height: 26px;
+    border-radius: 9px;
+    overflow:hidden;
+    position:relative;
+    flex:0 0 auto;
+    background: rgba(0,0,0,0.36);
+    border: 1px solid rgba(255,255,255,0.10);
+  }
+  .champ img{ width:100%; height:100%; object-fit:cover; transform:scale(1.07); }
+
+  /* KEY FIX: WIN zielony, LOSE czerwony */
+  .champ.win{ box-shadow: 0 0 0 2px rgba(78,255,155,0.70) inset; }
+  .champ.loss{ box-shadow: 0 0 0 2px rgba(255,70,70,0.92) inset; }
+  .champ.remake{ box-shadow: 0 0 0 2px rgba(255,255,255,0.28) inset; }
+  .champ.remake img{ filter: grayscale(1); opacity:.6; }
+
+  .resultbar{
+    position:absolute; left:0; right:0; bottom:0; height:4px;
+    opacity:.95;
+  }
+  .resultbar.win{ background: linear-gradient(90deg, var(--win), var(--win2)); }
+  .resultbar.loss{ background: linear-gradient(90deg, var(--loss), var(--loss2)); }
+  .resultbar.remake{ background: rgba(255,255,255,0.34); }
+
+  .mark{
+    position:absolute; right:2px; top:2px;
+    width:13px; height:13px;
+    border-radius: 7px;
+    background: rgba(0,0,0,0.48);
+    display:flex; align-items:center; justify-content:center;
+    font-size:10px; font-weight:950;
+    border: 1px solid rgba(255,255,255,0.10);
+  }
+  .mark.win{ color: rgba(78,255,155,0.95); }
+  .mark.loss{ color: rgba(255,70,70,0.95); }
+  .mark.remake{ color: rgba(255,255,255,0.70); }
+
+  .champRow{ display:flex; gap:12px; min-width:0; }
+  .champStat{ display:flex; align-items:center; gap:7px; flex:1 1 0; min-width:0; }
+  .champText{
+    font-size:11px; font-weight:800; line-height:1.3;
+    color: var(--muted);
+    white-space:nowrap; overflow:hidden; text-overflow:ellipsis;
+  }
+  .champText b{ color: var(--txt); font-weight:950; }
+
+  .lpWrap{ position:relative; height:36px; }
+  .lpGraph{ display:block; width:100%; height:100%; overflow:visible; }
+  .lpLine{ fill:none; stroke: var(--acc); stroke-width:2; stroke-linejoin:round; vector-effect:non-scaling-stroke; }
+  .tierLine{ stroke: rgba(255,255,255,0.28); stroke-width:1; stroke-dasharray:3 3; vector-effect:non-scaling-stroke; }
+  .lpTier{
+    position:absolute; right:0; transform:translateY(-110%);
+    font-size:9px; font-weight:900; letter-spacing:.6px; color: var(--muted);
+  }
+
+  .lastStats{ font-size:12px; font-weight:800; color: var(--muted); text-align:right; white-space:nowrap; }
+  .lastStats b{ color: var(--txt); font-weight:950; }
+
+  .sessionWL{
+    font-size: 28px;
+    font-weight: 950;
+    letter-spacing:-0.03em;
+    line-height:1;
+  }
+  .sessionKDA{
+    font-size: 21px;
+    font-weight: 950;
+    letter-spacing:-0.02em;
+    line-height:1.1;
+  }
+
+  .liveDot{
+    display:inline-block;
+    width:7px; height:7px;
+    margin-right:6px;
+    border-radius:999px;
+    background: var(--acc);
+    box-shadow: 0 0 8px var(--acc);
+    animation: linePulse 1.4s ease-in-out infinite;
+    vertical-align: middle;
+  }
+  .clock{ font-variant-numeric: tabular-nums; }
+
+  /* alerts: cover the whole bar and pause the rotation */
+  .alert{
+    position:absolute; inset:0;
+    display:flex; flex-direction:column; align-items:center; justify-content:center;
+    gap:5px;
+    background: linear-gradient(180deg, var(--bgB), var(--bgA));
+    opacity:0;
+    transform: scale(.96);
+    transition: opacity 450ms ease, transform 450ms ease;
+    pointer-events:none;
+    z-index:6;
+  }
+  .alert.show{ opacity:1; transform: scale(1); }
+  .alertTitle{
+    font-size:26px;
+    font-weight:950;
+    letter-spacing:.10em;
+    line-height:1;
+    text-transform:uppercase;
+  }
+  .alertSub{
+    font-size:11px;
+    font-weight:800;
+    letter-spacing:.14em;
+    text-transform:uppercase;
+    color: var(--muted);
+  }
+  .alert.win{ background: radial-gradient(320px 120px at 50% 50%, rgba(78,255,155,0.18), transparent 70%), linear-gradient(180deg, var(--bgB), var(--bgA)); }
+  .alert.win .alertTitle{ color: var(--win); text-shadow: 0 0 18px rgba(78,255,155,0.55); animation: cheer 700ms ease-in-out infinite alternate; }
+  .alert.loss .alertTitle{ color: var(--loss); animation: slump 1.8s ease-out both; }
+  .alert.promo{ background: radial-gradient(360px 140px at 50% 50%, rgba(255,205,90,0.26), transparent 70%), linear-gradient(180deg, var(--bgB), var(--bgA)); }
+  .alert.promo .alertTitle{ font-size:30px; color: rgba(255,215,110,0.98); text-shadow: 0 0 22px rgba(255,205,90,0.65); animation: cheer 600ms ease-in-out infinite alternate; }
+  .alert.demo .alertTitle{ color: rgba(255,255,255,0.70); animation: slump 2.2s ease-out both; }
+  .alert.streak .alertTitle{ color: var(--warn); text-shadow: 0 0 16px rgba(255,190,90,0.45); }
+  @keyframes cheer{
+    from{ transform: scale(1); }
+    to{ transform: scale(1.07); }
+  }
+  @keyframes slump{
+    0%{ transform: translateY(-8px); opacity:.3; }
+    60%{ transform: translateY(2px); opacity:1; }
+    100%{ transform: translateY(0); opacity:.9; }
+  }
+
+  /* Winrate thresholds: red/yellow/green */
+  .wr-red{ color: rgba(255,70,70,0.95); }
+  .wr-yellow{ color: rgba(255,190,90,0.95); }
+  .wr-green{ color: rgba(78,255,155,0.95); }
+
+  /* VARIANTS (layout.js): same markup, the slides reflow; !important beats the inline sizes */
+
+  /* compact: one-line ticker, label and value side by side */
+  .variant-compact .bar, .variant-compact .flameTrack{ border-radius:10px; }
+  .variant-compact .pad{ gap:8px; }
+  .variant-compact .stack{ flex-direction:row; align-items:baseline; gap:6px; width:auto !important; }
+  .variant-compact .label{ font-size:9px; letter-spacing:.12em; }
+  .variant-compact .big, .variant-compact .sessionWL, .variant-compact .sessionKDA{ font-size:15px; }
+  .variant-compact .muted{ font-size:11px; }
+  .variant-compact .sep{ height:16px; }
+  .variant-compact .emblem{ width:24px; height:24px; border-radius:7px; }
+  .variant-compact .emblem img{ width:22px; height:22px; }
+  .variant-compact .divTag{ display:none; }
+  .variant-compact .mhWrap{ flex-direction:row; align-items:center; }
+  .variant-compact .mhRow{ gap:4px; }
+  .variant-compact .champ{ width:20px; height:20px; border-radius:6px; }
+  .variant-compact .mark{ display:none; }
+  .variant-compact .champText{ font-size:10px; }
+  .variant-compact .champText br{ display:none; }
+  .variant-compact .lastStats{ font-size:10px; }
+  .variant-compact .lpWrap{ flex:1 1 auto; height:20px; }
+  .variant-compact .lpTier{ display:none; }
+  .variant-compact .err{ bottom:1px; font-size:9px; }
+  .variant-compact .alert{ flex-direction:row; gap:10px; }
+  .variant-compact .alertTitle, .variant-compact .alert.promo .alertTitle{ font-size:16px; }
+
+  /* vertical: sidebar, every slide stacks top to bottom */
+  .variant-vertical .pad{ flex-direction:column; align-items:stretch; justify-content:center; padding:14px var(--padX); gap:12px; }
+  .variant-vertical .left, .variant-vertical .right{ flex:0 0 auto !important; justify-content:flex-start; }
+  .variant-vertical .stack{ width:auto !important; }
+  .variant-vertical .sep{ width:100%; height:1px; }
+  .variant-vertical .mhRow{ flex-wrap:wrap; }
+  .variant-vertical .champRow{ flex-direction:column; gap:8px; }
+  .variant-vertical .lastStats{ text-align:left; }
+  .variant-vertical .alertTitle, .variant-vertical .alert.promo .alertTitle{ font-size:20px; text-align:center; }
+
+  /* panel: every slide as a card at once, the bar grows with them */
+  .variant-panel .bar{
+    height:auto; min-height: var(--H);
+    display:grid; grid-template-columns: repeat(auto-fill, minmax(230px, 1fr)); grid-auto-rows:76px;
+    gap:10px; padding:12px;
+  }
+  .variant-panel .slide{
+    position:relative; inset:auto;
+    display:none;
+    border-radius:12px;
+    background: rgba(255,255,255,0.03);
+    border: 1px solid rgba(255,255,255,0.08);
+  }
+  .variant-panel .slide.active{ display:block; }
+  .variant-panel #s3, .variant-panel #s7, .variant-panel #s8, .variant-panel #s9{ grid-column: span 2; }
+</style>
+</head>
+<body class="variant-${layout.variant}">
+<div class="bar">
+  <div class="flameTrack"><div class="flame"></div></div>
+  <div class="line"></div>
+
+  <div class="alert" id="alert">
+    <div class="alertTitle" id="alertTitle"></div>
+    <div class="alertSub" id="alertSub"></div>
+  </div>
+
+  <div class="slide" id="sLive">
+    <div class="pad">
+      <div class="left" style="flex:1 1 auto; min-width:0;">
+        <div class="emblem"><img id="liveChampIcon" alt="champion"/></div>
+        <div class="stack" style="min-width:0;">
+          <div class="label"><span class="liveDot"></span>${label("inGame")} · <span id="liveQueue">—</span></div>
+          <div class="big" id="liveChamp">—</div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:0 0 auto;">
+        <div class="stack" style="width:72px;">
+          <div class="label">${label("time")}</div>
+          <div class="big clock" id="liveClock">—</div>
+        </div>
+      </div>
+    </div>
+    <div class="err"></div>
+  </div>
+
+  <div class="slide active" id="s1">
+    <div class="pad">
+      <div class="left" style="flex:1 1 auto; min-width:0;">
+        <div class="stack" style="min-width:0;">
+          <div class="label">${label("summoner")}</div>
+          <div class="big" id="riotId">—</div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:0 0 auto;">
+        <div class="stack" style="width:86px;">
+          <div class="label">${label("region")}</div>
+          <div class="big" id="region">—</div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err1"></div>
+  </div>
+
+  <div class="slide" id="s2">
+    <div class="pad">
+      <div class="left" style="flex:1 1 auto; min-width:0;">
+        <div class="emblem" id="rankEmblemBox"><img id="rankEmblem" alt="rank"/><div class="divTag" id="rankDiv"></div></div>
+        <div class="stack" style="min-width:0;">
+          <div class="label">${label("rank")}<span id="rankQueue"></span></div>
+          <div class="big"><span id="rankText">—</span> <span class="muted" id="rankLadder"></span></div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:0 0 auto;">
+        <div class="stack" style="width:72px;">
+          <div class="label">${label("lp")}</div>
+          <div class="big" id="lp">—</div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err2"></div>
+  </div>
+
+  <div class="slide" id="s3">
+    <div class="pad">
+      <div class="mhWrap">
+        <div class="label" id="mhLabel"></div>
+        <div class="mhRow" id="mh"></div>
+      </div>
+    </div>
+    <div class="err" id="err3"></div>
+  </div>
+
+  <div class="slide" id="s6">
+    <div class="pad">
+      <div class="left" style="flex:1 1 auto; min-width:0;">
+        <div class="emblem"><img id="lastChampIcon" alt="champion"/></div>
+        <div class="stack" style="min-width:0;">
+          <div class="label">${label("lastGame")}<span id="lastMeta"></span></div>
+          <div class="big"><span id="lastResult">—</span> <span class="muted" id="lastKDA"></span></div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:0 0 auto;">
+        <div class="stack lastStats">
+          <div>${label("cs")} <b id="lastCS">—</b> · ${label("vision")} <b id="lastVision">—</b></div>
+          <div>${label("killParticipation")} <b id="lastKP">—</b> · ${label("damageShare")} <b id="lastDmg">—</b></div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err6"></div>
+  </div>
+
+  <div class="slide" id="s4">
+    <div class="pad">
+      <div class="left" style="flex:0 0 auto;">
+        <div class="stack" style="width:140px;">
+          <div class="label">${label("sessionWL")}</div>
+          <div class="sessionWL"><span id="sessWL">—</span> <span class="muted" id="sessLP"></span></div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:1 1 auto; min-width:0;">
+        <div class="stack" style="min-width:0;">
+          <div class="label">${label("sessionKda")}</div>
+          <div class="sessionKDA"><span id="sessKDA">—</span> <span class="muted" id="sessKDAraw">—</span></div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err4"></div>
+  </div>
+
+  <div class="slide" id="s5">
+    <div class="pad">
+      <div class="left" style="flex:0 0 auto;">
+        <div class="stack" style="width:150px;">
+          <div class="label">${label("seasonGames")}</div>
+          <div class="big" id="seasonGames">—</div>
+        </div>
+      </div>
+
+      <div class="sep"></div>
+
+      <div class="right" style="flex:1 1 auto;">
+        <div class="stack">
+          <div class="label">${label("seasonWinrate")}</div>
+          <div class="big"><span id="seasonWR">—</span><span class="muted">%</span></div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err5"></div>
+  </div>
+
+  <div class="slide" id="s7">
+    <div class="pad">
+      <div class="mhWrap">
+        <div class="label">${label("topChampions")}<span id="champMeta"></span></div>
+        <div class="champRow" id="champs"></div>
+      </div>
+    </div>
+    <div class="err" id="err7"></div>
+  </div>
+
+  <div class="slide" id="s8">
+    <div class="pad">
+      <div class="mhWrap">
+        <div class="label">${label("topMastery")}<span id="masteryMeta"></span></div>
+        <div class="champRow" id="masteries"></div>
+      </div>
+    </div>
+    <div class="err" id="err8"></div>
+  </div>
+
+  <div class="slide" id="s9">
+    <div class="pad">
+      <div class="mhWrap">
+        <div class="label"><span id="lpLabel">${label("lpSession")}</span><span id="lpMeta"></span></div>
+        <div class="lpWrap">
+          <svg class="lpGraph" id="lpGraph" viewBox="0 0 100 36" preserveAspectRatio="none"></svg>
+          <div id="lpTiers"></div>
+        </div>
+      </div>
+    </div>
+    <div class="err" id="err9"></div>
+  </div>
+
+</div>
+
+<script>
+  const SLIDES = ${JSON.stringify(layout.slides.map((name) => SLIDE_IDS[name]))};
+  const SLIDE_MS = ${Math.round(layout.interval * 1000)};
+  const ROTATE = ${layout.variant !== "panel"};
+  const UI_POLL_MS = 30000;
+
+  // locale pack (locale.js): t("labels", "games", { n: 3 }) -> "3 games"
+  const L = ${scriptJson(locale)};
+  const NUMBER_LOCALE = L.numberLocale || "en-US";
+  const PLURALS = new Intl.PluralRules(NUMBER_LOCALE);
+  const APEX = ["MASTER", "GRANDMASTER", "CHALLENGER"];
+
+  function t(section, key, vars = {}){
+    let s = L[section]?.[key] ?? key;
+    if (typeof s === "object") s = s[PLURALS.select(vars.n ?? 0)] ?? s.other;
+    return String(s).replace(/\\{(\\w+)\\}/g, (m, k) => vars[k] ?? m);
+  }
+
+  function fmtNum(v, digits = 0){
+    return Number(v).toLocaleString(NUMBER_LOCALE, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  }
+
+  function upper(s){
+    return String(s).toLocaleUpperCase(L.htmlLang);
+  }
+
+  // tier names come from the API in English: ("EMERALD", "II") -> "Emerald II"
+  function rankName(tier, division){
+    if (!tier || tier === "UNRANKED") return t("tiers", "UNRANKED");
+    const name = t("tiers", tier);
+    return division && !APEX.includes(tier) ? name + " " + t("divisions", division) : name;
+  }
+
+  let rankList = [];
+  let rankIdx = 0;
+
+  function nextRank(){
+    if (rankList.length < 2) return;
+    rankIdx = (rankIdx + 1) % rankList.length;
+    renderRank(rankList[rankIdx]);
+  }
+
+  function renderRank(r){
+    const ranked = !!r.tier && r.tier !== "UNRANKED";
+    const queue = L.rankQueues?.[r.queue] ?? r.label ?? "";
+    document.getElementById("rankQueue").textContent = rankList.length > 1 ? " · " + upper(queue) : "";
+    document.getElementById("rankText").textContent = upper(rankName(r.tier, r.rank));
+    document.getElementById("rankLadder").textContent = r.ladder ? "#" + fmtNum(r.ladder.position) : "";
+    document.getElementById("lp").textContent = ranked ? fmtNum(r.lp ?? 0) + " " + t("labels", "lp") : "—";
+
+    const badgeUrl = r.badge || "";
+    const emblemBox = document.getElementById("rankEmblemBox");
+    const emblem = document.getElementById("rankEmblem");
+    if (badgeUrl) {
+      emblemBox.style.display = "flex";
+      emblem.src = badgeUrl;
+    } else {
+      emblemBox.style.display = "none";
+    }
+    if (ranked) {
+      emblemBox.dataset.tier = r.tier;
+      emblemBox.dataset.division = r.apex ? "APEX" : r.rank;
+    } else {
+      delete emblemBox.dataset.tier;
+      delete emblemBox.dataset.division;
+    }
+    document.getElementById("rankDiv").textContent = ranked && !r.apex ? r.rank : "";
+  }
+
+  // the live slide only takes part in the rotation while a game is running
+  let liveGame = null;
+  function visibleSlides(){
+    return SLIDES.filter(id => id !== "sLive" || liveGame);
+  }
+
+  ${warnings.length ? `console.warn(${scriptJson(`widget layout: ${warnings.join("; ")}`)});` : ""}
+
+  let idx = 0;
+  function showSlide(next){
+    const list = visibleSlides();
+    if (!ROTATE) {
+      // panel: every slide at once, in the configured order
+      document.querySelectorAll(".slide").forEach(el => {
+        el.classList.toggle("active", list.includes(el.id));
+        el.style.order = list.indexOf(el.id);
+      });
+      return;
+    }
+    idx = next % list.length;
+    // with Solo/Duo and Flex both ranked, every pass of the rank slide shows the next queue
+    if (list[idx] === "s2" && !document.getElementById("s2").classList.contains("active")) nextRank();
+    document.querySelectorAll(".slide").forEach(el=>el.classList.toggle("active", el.id===list[idx]));
+  }
+  showSlide(0);
+  // the panel does not rotate, but its rank card still cycles through the ranked queues
+  setInterval(()=>{ if (!alertActive) ROTATE ? showSlide(idx+1) : nextRank(); }, SLIDE_MS);
+
+  /* alerts from d.events, one at a time; lp_changed only feeds the match alert */
+  const ALERT_MS = {
+    match_won: 6500, match_lost: 6500,
+    tier_promoted: 11000, division_promoted: 9000, demoted: 9000,
+    win_streak: 6000, loss_streak: 6000,
+  };
+  const seenEvents = new Set();
+  const alertQueue = [];
+  let alertActive = false;
+  let firstEvents = true;
+
+  function signedLP(v){
+    return (v > 0 ? "+" : "") + fmtNum(v) + " " + t("labels", "lp");
+  }
+
+  function alertContent(ev){
+    const kda = ev.kills + "/" + ev.deaths + "/" + ev.assists;
+    const lp = (ev.lpDelta === null || ev.lpDelta === undefined) ? "" : " · " + signedLP(ev.lpDelta);
+    // events kept from before fromTier existed only have the English display
+    const from = ev.fromTier ? rankName(ev.fromTier, ev.fromRank) : ev.from;
+    const to = ev.tier ? rankName(ev.tier, ev.rank) : ev.to;
+    const alert = (key, vars) => t("alerts", key, vars);
+    switch (ev.type) {
+      case "match_won": return { cls:"win", title:alert("victory"), sub:(ev.championName || "") + " · " + kda + lp };
+      case "match_lost": return { cls:"loss", title:alert("defeat"), sub:(ev.championName || "") + " · " + kda + lp };
+      case "tier_promoted": return { cls:"promo", title:alert("promoted"), sub:from + " → " + to };
+      case "division_promoted": return { cls:"promo", title:to, sub:alert("promotedFrom", { from }) };
+      case "demoted": return { cls:"demo", title:alert("demoted"), sub:from + " → " + to };
+      case "win_streak": return { cls:"streak", title:alert("winStreak", { n:ev.count }), sub:alert("winStreakSub") };
+      case "loss_streak": return { cls:"loss", title:alert("lossStreak", { n:ev.count }), sub:alert("lossStreakSub") };
+    }
+  }
+
+  function queueAlerts(events){
+    for (const ev of events || []) {
+      if (seenEvents.has(ev.id)) continue;
+      seenEvents.add(ev.id);
+      // don't replay old alerts when the page is (re)loaded
+      if (firstEvents && Date.now() - ev.at > 90000) continue;
+      if (ALERT_MS[ev.type]) alertQueue.push(ev);
+    }
+    firstEvents = false;
+    if (!alertActive) nextAlert();
+  }
+
+  function nextAlert(){
+    const el = document.getElementById("alert");
+    const ev = alertQueue.shift();
+    if (!ev) {
+      alertActive = false;
+      el.className = "alert";
+      return;
+    }
+    alertActive = true;
+    const a = alertContent(ev);
+    el.className = "alert";
+    void el.offsetWidth; // restart the animation for back-to-back alerts of one kind
+    el.className = "alert show " + a.cls;
+    document.getElementById("alertTitle").textContent = a.title;
+    document.getElementById("alertSub").textContent = a.sub;
+    setTimeout(nextAlert, ALERT_MS[ev.type]);
+  }
+
+  function fmtClock(sec){
+    const m = Math.floor(sec / 60), s = sec % 60;
+    return m + ":" + String(s).padStart(2, "0");
+  }
+
+  // ticks locally between polls
+  function tickLiveClock(){
+    if (!liveGame) return;
+    const sec = liveGame.gameStart
+      ? Math.max(0, Math.floor((Date.now() - liveGame.gameStart) / 1000))
+      : (liveGame.gameLength ?? 0);
+    document.getElementById("liveClock").textContent = fmtClock(sec);
+  }
+  setInterval(tickLiveClock, 1000);
+
+  function winrateClass(wr){
+    if (wr <= 48) return "wr-red";
+    if (wr >= 52) return "wr-green";
+    return "wr-yellow";
+  }
+
+  const RESULT_MARKS = L.resultMarks;
+  const POSITIONS = L.positions;
+
+  function resultClass(m){
+    return m.remake ? "remake" : m.win ? "win" : "loss";
+  }
+
+  function renderLastGame(m){
+    const set = (id, text) => document.getElementById(id).textContent = text;
+    const res = document.getElementById("lastResult");
+    if (!m) {
+      res.textContent = "—";
+      res.style.color = "";
+      ["lastMeta","lastKDA"].forEach(id => set(id, ""));
+      ["lastCS","lastVision","lastKP","lastDmg"].forEach(id => set(id, "—"));
+      return;
+    }
+    const result = resultClass(m);
+    document.getElementById("lastChampIcon").src = m.championIcon || "";
+    res.textContent = upper(t("results", result));
+    res.style.color = result === "remake" ? "var(--muted)" : "var(--" + result + ")";
+
+    const meta = [POSITIONS[m.position], m.duration ? fmtClock(m.duration) : null].filter(Boolean);
+    set("lastMeta", meta.length ? " · " + meta.join(" · ") : "");
+    const lp = (m.lpDelta === null || m.lpDelta === undefined) ? "" : " " + signedLP(m.lpDelta);
+    set("lastKDA", m.kills + "/" + m.deaths + "/" + m.assists + lp);
+    set("lastCS", m.cs === null ? "—" : fmtNum(m.cs) + (m.csPerMin === null ? "" : " (" + fmtNum(m.csPerMin, 1) + ")"));
+    set("lastVision", m.visionScore ?? "—");
+    set("lastKP", m.killParticipation === null ? "—" : fmtNum(m.killParticipation) + "%");
+    set("lastDmg", m.damageShare === null ? "—" : fmtNum(m.damageShare) + "%");
+  }
+
+  const CHAMPION_SLOTS = 3;
+
+  function renderChampions(c){
+    const list = (c?.list || []).slice(0, CHAMPION_SLOTS);
+    document.getElementById("champMeta").textContent = c?.games ? " · " + t("labels", "games", { n:c.games }) : "";
+    const row = document.getElementById("champs");
+    row.innerHTML = list.length ? "" : '<div class="champText">—</div>';
+    list.forEach(ch => {
+      const el = document.createElement("div");
+      el.className = "champStat";
+      el.innerHTML = \`
+        <div class="champ"><img alt="\${ch.championName}" src="\${ch.championIcon}"></div>
+        <div class="champText">
+          <b class="\${winrateClass(ch.winrate)}">\${fmtNum(ch.winrate)}%</b> · <b>\${t("labels", "gamesShort", { n:ch.games })}</b><br>
+          \${t("labels", "kda", { kda:fmtNum(ch.kda, 1) })}\${ch.csPerMin === null ? "" : " · " + t("labels", "csPerMin", { cs:fmtNum(ch.csPerMin, 1) })}
+        </div>
+      \`;
+      row.appendChild(el);
+    });
+  }
+
+  // 245312 -> "245K" (en), "245 tys." (pl)
+  const POINTS_FORMAT = new Intl.NumberFormat(NUMBER_LOCALE, { notation:"compact", maximumSignificantDigits:3 });
+  function fmtPoints(n){
+    return n >= 1e4 ? POINTS_FORMAT.format(n) : fmtNum(n);
+  }
+
+  function renderMastery(m){
+    const list = (m?.top || []).slice(0, CHAMPION_SLOTS);
+    const current = m?.current;
+    document.getElementById("masteryMeta").textContent = current
+      ? " · " + upper(current.championName) + " " + t("labels", "masteryLevel", { level:current.level }) + " " + fmtPoints(current.points)
+      : "";
+    const row = document.getElementById("masteries");
+    row.innerHTML = list.length ? "" : '<div class="champText">—</div>';
+    list.forEach(ch => {
+      const el = document.createElement("div");
+      el.className = "champStat";
+      el.innerHTML = \`
+        <div class="champ"><img alt="\${ch.championName}" src="\${ch.championIcon}"></div>
+        <div class="champText">
+          <b>\${t("labels", "masteryLevel", { level:ch.level })}</b> · \${ch.championName}<br>
+          \${t("labels", "points", { points:"<b>" + fmtPoints(ch.points) + "</b>" })}
+        </div>
+      \`;
+      row.appendChild(el);
+    });
+  }
+
+  // LP on the continuous scale (rankHistory.js) drawn into a 100x36 box stretched over the slide
+  const GRAPH_W = 100;
+  const GRAPH_H = 36;
+
+  // an open-ended graph (until: null) runs up to when the data was fetched
+  function renderProgress(g, now){
+    const points = g?.points || [];
+    const last = points[points.length - 1];
+    document.getElementById("lpLabel").textContent = t("labels", g?.scope === "day" ? "lpToday" : "lpSession");
+    document.getElementById("lpMeta").textContent = last
+      ? " · " + signedLP(g.change) + " · " + rankName(last.tier, last.rank) + " " + fmtNum(last.leaguePoints) + " " + t("labels", "lp")
+      : "";
+    const svg = document.getElementById("lpGraph");
+    const tiers = document.getElementById("lpTiers");
+    if (!last) {
+      svg.innerHTML = "";
+      tiers.innerHTML = "";
+      return;
+    }
+
+    // at least 40 LP tall, so a single game does not fill the whole box
+    const span = Math.max(g.max - g.min, 40) * 1.2;
+    const top = (g.max + g.min + span) / 2;
+    const y = lp => (GRAPH_H * (top - lp) / span).toFixed(1);
+    const until = g.until ?? now;
+    const x = at => (GRAPH_W * (at - g.since) / Math.max(1, until - g.since)).toFixed(1);
+    // a rank holds until the next snapshot: steps instead of slopes
+    let d = "M" + x(points[0].at) + " " + y(points[0].lp);
+    points.slice(1).forEach(p => d += " H" + x(p.at) + " V" + y(p.lp));
+    d += " H" + GRAPH_W;
+
+    svg.innerHTML = g.tiers
+      .map(tier => \`<line class="tierLine" x1="0" x2="\${GRAPH_W}" y1="\${y(tier.lp)}" y2="\${y(tier.lp)}"></line>\`)
+      .join("") + \`<path class="lpLine" d="\${d}"></path>\`;
+    tiers.innerHTML = g.tiers
+      .map(tier => \`<span class="lpTier" style="top:\${(100 * y(tier.lp) / GRAPH_H).toFixed(1)}%">\${upper(t("tiers", tier.tier))}</span>\`)
+      .join("");
+  }
+
+  // failed refresh: the last good data stays up with a small age note instead of the error text
+  let staleSince = null;
+  function renderStale(){
+    let note = "";
+    if (staleSince === 0) note = t("messages", "noData");
+    else if (staleSince) note = t("messages", "dataAge", { n:Math.max(1, Math.round((Date.now() - staleSince) / 60000)) });
+    document.querySelectorAll(".err").forEach(el => el.textContent = note);
+  }
+  setInterval(renderStale, 30000);
+
+  function render(d){
+    staleSince = d.ok ? null : (d.dataUpdatedAt || 0);
+    renderStale();
+
+    queueAlerts(d.events);
+
+    const wasLive = !!liveGame;
+    liveGame = d.liveGame || null;
+    if (liveGame) {
+      document.getElementById("liveChamp").textContent = liveGame.championName || "—";
+      document.getElementById("liveQueue").textContent = upper(L.queues?.[liveGame.queueId] ?? liveGame.queue ?? "");
+      document.getElementById("liveChampIcon").src = liveGame.championIcon || "";
+      tickLiveClock();
+    }
+    // jump to the live slide when a game starts, leave it when the game is over
+    if (!!liveGame !== wasLive) showSlide(Math.max(0, visibleSlides().indexOf("sLive")));
+
+    document.getElementById("riotId").textContent = d.player?.riotId || "—";
+    document.getElementById("region").textContent = d.player?.region || "—";
+
+    const rankedQueues = (d.ranks || []).filter(r => r.tier !== "UNRANKED");
+    rankList = rankedQueues.length ? rankedQueues : [d.rank || {}];
+    renderRank(rankList[rankIdx % rankList.length]);
+
+    const n = d.matchHistory?.count ?? 10;
+    document.getElementById("mhLabel").textContent = t("labels", "lastGames", { n });
+
+    const mh = document.getElementById("mh");
+    mh.innerHTML = "";
+    (d.matchHistory?.lastN || []).forEach(m => {
+      const result = resultClass(m);
+      const wrap = document.createElement("div");
+      wrap.className = "champ " + result;
+      wrap.innerHTML = \`
+        <img alt="\${m.championName}" src="\${m.championIcon}">
+        <div class="mark \${result}">\${RESULT_MARKS[result]}</div>
+        <div class="resultbar \${result}"></div>
+      \`;
+      mh.appendChild(wrap);
+    });
+
+    renderLastGame(d.matchHistory?.lastN?.[0]);
+
+    const sw = d.session?.wins ?? 0;
+    const sl = d.session?.losses ?? 0;
+    document.getElementById("sessWL").innerHTML =
+      \`<span style="color: var(--win);">\${sw}</span><span style="color: rgba(255,255,255,0.80);">-</span><span style="color: var(--loss);">\${sl}</span>\`;
+
+    const lpDelta = d.session?.lp;
+    const sessLP = document.getElementById("sessLP");
+    sessLP.textContent = (lpDelta === null || lpDelta === undefined) ? "" : signedLP(lpDelta);
+    sessLP.style.color = lpDelta > 0 ? "var(--win)" : lpDelta < 0 ? "var(--loss)" : "";
+
+    document.getElementById("sessKDA").textContent = fmtNum(d.session?.kda ?? 0, 1);
+    document.getElementById("sessKDAraw").textContent =
+      \`(\${d.session?.kills ?? 0}/\${d.session?.deaths ?? 0}/\${d.session?.assists ?? 0})\`;
+
+    document.getElementById("seasonGames").textContent = fmtNum(d.season?.games ?? 0);
+
+    const wr = Number(d.season?.winrate ?? 0);
+    const seasonWR = document.getElementById("seasonWR");
+    seasonWR.textContent = fmtNum(wr);
+    seasonWR.classList.remove("wr-red","wr-yellow","wr-green");
+    seasonWR.classList.add(winrateClass(wr));
+
+    renderChampions(d.champions);
+    renderMastery(d.mastery);
+    renderProgress(d.lpGraph, d.dataUpdatedAt);
+  }
+
+  async function load(){
+    try {
+      render(await (await fetch(${JSON.stringify(jsonUrl)}, { cache:"no-store" })).json());
+    } catch {}
+  }
+
+  /* live updates over SSE; plain polling while the stream is down */
+  const STREAM_STALE_MS = ${(SSE_HEARTBEAT_SECONDS * 3 + 5) * 1000};
+  let pollTimer = null;
+  let stream = null;
+  let lastStreamMsg = 0;
+
+  function startPolling(){
+    if (pollTimer) return;
+    load();
+    pollTimer = setInterval(load, UI_POLL_MS);
+  }
+  function stopPolling(){
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  function connect(){
+    if (!window.EventSource) return startPolling();
+    stream = new EventSource(${JSON.stringify(eventsUrl)});
+    lastStreamMsg = Date.now();
+    stream.addEventListener("payload", e => {
+      lastStreamMsg = Date.now();
+      stopPolling();
+      render(JSON.parse(e.data));
+    });
+    stream.addEventListener("ping", () => { lastStreamMsg = Date.now(); });
+    stream.onerror = () => {
+      startPolling();
+      // CLOSED means the browser gave up (e.g. HTTP error); CONNECTING retries on its own
+      if (stream.readyState === EventSource.CLOSED) reconnect();
+    };
+  }
+
+  function reconnect(){
+    if (stream) stream.close();
+    stream = null;
+    setTimeout(connect, ${SSE_RETRY_MS});
+  }
+
+  setInterval(() => {
+    if (stream && Date.now() - lastStreamMsg > STREAM_STALE_MS) {
+      startPolling();
+      reconnect();
+    }
+  }, 10000);
+
+  connect();
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,116 @@
+import { fixtureMatch, fixtureMatches, MOCK_PUUID } from "./helpers.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  computeSession,
+  computeSessionByGap,
+  extractParticipant,
+  inSessionQueues,
+  lpDiff,
+  lpValue,
+  pickRank,
+  pickRanks,
+  summarizeSession,
+} from "../src/aggregate.js";
+
+const ENTRIES = [
+  { queueType: "RANKED_FLEX_SR", tier: "GOLD", rank: "I", leaguePoints: 20, wins: 12, losses: 9 },
+  { queueType: "RANKED_SOLO_5x5", tier: "EMERALD", rank: "II", leaguePoints: 45, wins: 64, losses: 58 },
+];
+
+const parts = () => fixtureMatches().map((m) => extractParticipant(m, MOCK_PUUID));
+
+test("pickRank finds the configured queue", () => {
+  assert.deepEqual(pickRank(ENTRIES), {
+    queue: "RANKED_SOLO_5x5",
+    tier: "EMERALD",
+    rank: "II",
+    lp: 45,
+    wins: 64,
+    losses: 58,
+  });
+});
+
+test("pickRank reports a missing queue as unranked", () => {
+  const rank = pickRank([], "RANKED_FLEX_SR");
+  assert.equal(rank.tier, "UNRANKED");
+  assert.equal(rank.queue, "RANKED_FLEX_SR");
+});
+
+test("pickRanks puts the configured queue first, even when unranked", () => {
+  assert.deepEqual(
+    pickRanks(ENTRIES).map((r) => r.queue),
+    ["RANKED_SOLO_5x5", "RANKED_FLEX_SR"]
+  );
+  assert.deepEqual(
+    pickRanks([ENTRIES[0]]).map((r) => r.tier),
+    ["UNRANKED", "GOLD"]
+  );
+});
+
+test("lpValue puts tiers and divisions on one scale", () => {
+  assert.equal(lpValue({ tier: "EMERALD", rank: "I", lp: 80 }), 2380);
+  assert.equal(lpValue({ tier: "DIAMOND", rank: "IV", lp: 10 }), 2410);
+  assert.equal(lpValue({ tier: "UNRANKED", rank: "", lp: 0 }), null);
+  assert.equal(lpDiff({ tier: "EMERALD", rank: "I", lp: 80 }, { tier: "DIAMOND", rank: "IV", lp: 10 }), 30);
+});
+
+test("extractParticipant reads the player's stats", () => {
+  const part = extractParticipant(fixtureMatch("EUW1_7000000008"), MOCK_PUUID);
+  assert.equal(part.matchId, "EUW1_7000000008");
+  assert.equal(part.queueId, 420);
+  assert.equal(part.championName, "Orianna");
+  assert.equal(part.win, true);
+  assert.deepEqual([part.kills, part.deaths, part.assists], [8, 2, 13]);
+  assert.equal(part.position, "MIDDLE");
+  assert.equal(part.duration, 1650);
+  assert.equal(part.csPerMin, Math.round((part.cs / (1650 / 60)) * 10) / 10);
+  assert.ok(part.killParticipation > 0 && part.killParticipation <= 100);
+  assert.ok(part.damageShare > 0 && part.damageShare <= 100);
+  assert.equal(part.remake, false);
+});
+
+test("extractParticipant flags remakes and ignores other players' matches", () => {
+  assert.equal(extractParticipant(fixtureMatch("EUW1_7000000005"), MOCK_PUUID).remake, true);
+  assert.equal(extractParticipant(fixtureMatch("EUW1_7000000005"), "someone-else"), null);
+});
+
+test("summarizeSession leaves remakes out of W/L and KDA", () => {
+  const summary = summarizeSession([
+    { matchId: "a", win: true, kills: 4, deaths: 1, assists: 2 },
+    { matchId: "b", win: false, remake: true, kills: 0, deaths: 0, assists: 0 },
+    { matchId: "c", win: false, kills: 1, deaths: 3, assists: 5 },
+  ]);
+  assert.equal(summary.wins, 1);
+  assert.equal(summary.losses, 1);
+  assert.equal(summary.games, 2);
+  assert.equal(summary.remakes, 1);
+  assert.equal(summary.kda, "3.0");
+  assert.deepEqual(summary.matchIds, ["a", "c"]);
+});
+
+test("computeSessionByGap stops at the first long break", () => {
+  const ranked = parts().filter(inSessionQueues);
+  const session = computeSessionByGap(ranked, 60);
+  assert.deepEqual(session.matchIds, ["EUW1_7000000008", "EUW1_7000000007", "EUW1_7000000006", "EUW1_7000000004"]);
+  assert.equal(session.wins, 3);
+  assert.equal(session.losses, 1);
+  assert.equal(session.remakes, 1);
+  assert.equal(session.kda, "3.5");
+
+  // a gap wider than the night between the fixture days joins both sessions
+  assert.equal(computeSessionByGap(ranked, 24 * 60).games, 6);
+});
+
+test("computeSession counts the last N games without remakes", () => {
+  const settings = { mode: "games", games: 3, gapMinutes: 60, timeZone: "UTC" };
+  const session = computeSession(parts().filter(inSessionQueues), settings);
+  assert.deepEqual(session.matchIds, ["EUW1_7000000008", "EUW1_7000000007", "EUW1_7000000006"]);
+});
+
+test("computeSession applies a manual reset in every mode", () => {
+  const settings = { mode: "gap", games: 10, gapMinutes: 60, timeZone: "UTC" };
+  const baseline = fixtureMatch("EUW1_7000000007").info.gameStartTimestamp;
+  const session = computeSession(parts().filter(inSessionQueues), settings, { baseline });
+  assert.deepEqual(session.matchIds, ["EUW1_7000000008", "EUW1_7000000007"]);
+});
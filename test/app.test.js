@@ -0,0 +1,195 @@
+import "./helpers.js";
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import { ACCOUNTS, createAccount, dropAccount } from "../src/accounts.js";
+import { createApp } from "../src/app.js";
+import { refresh } from "../src/refresh.js";
+
+let account;
+let server;
+let base;
+
+before(async () => {
+  account = createAccount({
+    platform: "euw1",
+    regional: "europe",
+    gameName: "MockPlayer",
+    tagLine: "TEST",
+    pinned: true,
+  });
+  await account.ready;
+  server = createApp({ defaultAccount: account }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  dropAccount(account);
+  server.close();
+});
+
+test("/widget.json serves the aggregated payload", async () => {
+  const r = await fetch(`${base}/widget.json?history=5`);
+  assert.equal(r.status, 200);
+  const d = await r.json();
+
+  assert.equal(d.ok, true);
+  assert.equal(d.player.riotId, "MockPlayer#TEST");
+  assert.equal(d.rank.display, "EMERALD II");
+  assert.equal(d.rank.badge, "/assets/emblems/emerald.svg");
+  assert.deepEqual(
+    d.ranks.map((r) => r.label),
+    ["Solo/Duo", "Flex"]
+  );
+  assert.equal(d.season.games, 122);
+
+  // the ARAM is outside the session queues, the remake stays out of W/L
+  assert.equal(d.matchHistory.lastN.length, 5);
+  assert.equal(d.matchHistory.stored, 8);
+  assert.ok(d.matchHistory.lastN.every((m) => m.queueId !== 450));
+  assert.equal(d.matchHistory.lastN[3].remake, true);
+  assert.deepEqual([d.session.wins, d.session.losses, d.session.remakes], [3, 1, 1]);
+});
+
+test("a refresh that changes nothing visible is not published", async () => {
+  await refresh(account);
+  const version = account.version;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  await refresh(account);
+  assert.equal(account.version, version);
+});
+
+test("/widget.txt renders named and inline templates", async () => {
+  const text = async (qs) => (await fetch(`${base}/widget.txt?${qs}`)).text();
+  assert.equal(await text("template=rank"), "MockPlayer#TEST: EMERALD II 45LP (64W-58L, 52%)");
+  assert.equal(await text("template=lastgame"), "Last game: W as Orianna 8/2/13 (?LP)");
+  assert.equal(
+    await text(`template=${encodeURIComponent("{rank.tier|title} {session.kda|fixed:2} {nope|default:n/a}")}`),
+    "Emerald 3.50 n/a"
+  );
+  // inherited properties and helpers are not template paths
+  assert.equal(
+    await text(`template=${encodeURIComponent("[{constructor}{rank.toString|default:-}{rank.tier|constructor}]")}`),
+    "[-EMERALD]"
+  );
+});
+
+test("per-account /widget.txt takes inherited names as inline templates", async () => {
+  const r = await fetch(`${base}/widget/euw1/MockPlayer/TEST.txt?template=constructor`);
+  assert.equal(r.status, 200);
+  assert.equal(await r.text(), "constructor");
+});
+
+test("/widget serves the overlay page", async () => {
+  const r = await fetch(`${base}/widget?slides=rank,session`);
+  assert.equal(r.status, 200);
+  assert.match(r.headers.get("content-type"), /text\/html/);
+  assert.match(await r.text(), /const SLIDES = \["s2","s4"\]/);
+});
+
+test("/widget drops inherited object names as slides or themes", async () => {
+  const page = await (await fetch(`${base}/widget?slides=constructor&theme=__proto__`)).text();
+  assert.match(page, /invalid slides \\"constructor\\"/);
+  assert.match(page, /invalid theme \\"__proto__\\"/);
+  assert.match(page, /--accRGB: 255,70,70;/);
+  assert.doesNotMatch(page, /const SLIDES = \[null\]/);
+});
+
+test("/widget layout variants pick their own size and slide handling", async () => {
+  const panel = await (await fetch(`${base}/widget?variant=panel`)).text();
+  assert.match(panel, /<body class="variant-panel">/);
+  assert.match(panel, /const ROTATE = false;/);
+  assert.match(panel, /--W: 760px;/);
+
+  const sidebar = await (await fetch(`${base}/widget?preset=sidebar&height=320`)).text();
+  assert.match(sidebar, /<body class="variant-vertical">/);
+  assert.match(sidebar, /--W: 220px;\s*--H: 320px;/);
+
+  assert.match(await (await fetch(`${base}/widget?variant=round`)).text(), /invalid variant \\"round\\"/);
+  const inherited = await (await fetch(`${base}/widget?variant=constructor`)).text();
+  assert.match(inherited, /<body class="variant-bar">/);
+  assert.match(inherited, /--W: 420px;/);
+});
+
+test("/export/session lists the session's games as JSON or CSV", async () => {
+  const d = await (await fetch(`${base}/export/session`)).json();
+  assert.equal(d.count, 5);
+  assert.deepEqual(
+    d.matches.map((m) => m.result),
+    ["win", "loss", "win", "remake", "win"]
+  );
+  assert.deepEqual(d.matches[2], {
+    matchId: "EUW1_7000000006",
+    date: "2026-10-01T18:50:00.000Z",
+    queueId: 440,
+    queue: "Ranked Flex",
+    champion: "Wukong",
+    role: "TOP",
+    result: "win",
+    kills: 7,
+    deaths: 5,
+    assists: 9,
+    duration: 1845,
+    lpDelta: null,
+  });
+
+  const r = await fetch(`${base}/export/session?format=csv`);
+  assert.match(r.headers.get("content-type"), /text\/csv/);
+  const lines = (await r.text()).trimEnd().split("\r\n");
+  assert.equal(lines[0], "matchId,date,queueId,queue,champion,role,result,kills,deaths,assists,duration,lpDelta");
+  assert.equal(
+    lines[1],
+    "EUW1_7000000008,2026-10-01T20:16:00.000Z,420,Ranked Solo/Duo,Orianna,MIDDLE,win,8,2,13,1650,"
+  );
+  assert.equal(lines.length, 6);
+});
+
+test("/export/matches filters by time range and queue", async () => {
+  const ids = async (qs) => (await (await fetch(`${base}/export/matches?${qs}`)).json()).matches.map((m) => m.matchId);
+  assert.equal((await ids("")).length, 8);
+  assert.equal((await ids("from=&to=&queue=")).length, 8);
+  assert.deepEqual(await ids("queue=450"), ["EUW1_7000000003"]);
+  assert.deepEqual(await ids("queue=440,450&to=2026-10-01T18:50:00Z"), ["EUW1_7000000003"]);
+  assert.equal((await ids("from=2026-10-01T18:50:00Z&queue=420")).length, 2);
+
+  assert.equal((await fetch(`${base}/export/matches?from=yesterday`)).status, 400);
+  assert.equal((await fetch(`${base}/export/matches?format=xlsx`)).status, 400);
+});
+
+test("/history/rank serves the LP trajectory of a range", async () => {
+  const d = await (await fetch(`${base}/history/rank?range=week`)).json();
+  assert.equal(d.range, "week");
+  assert.equal(d.queue, "RANKED_SOLO_5x5");
+  assert.deepEqual(
+    d.points.map((p) => [p.display, p.lp]),
+    [["EMERALD II", 2245]]
+  );
+
+  const flex = await (await fetch(`${base}/history/rank?range=season&queue=ranked_flex_sr`)).json();
+  assert.equal(flex.queue, "RANKED_FLEX_SR");
+  const solo = await (await fetch(`${base}/history/rank?queue=RANKED_SOLO_5x5`)).json();
+  assert.equal(solo.queue, "RANKED_SOLO_5x5");
+  assert.equal((await fetch(`${base}/history/rank?range=year`)).status, 400);
+  assert.equal((await fetch(`${base}/history/rank?queue=ARAM`)).status, 400);
+});
+
+test("per-account routes reject unknown platforms", async () => {
+  const r = await fetch(`${base}/widget/xx1/Someone/EUW.json`);
+  assert.equal(r.status, 404);
+});
+
+test("a Riot ID that does not exist is not tracked", async () => {
+  const r = await fetch(`${base}/widget/euw1/Nobody/X.json`);
+  assert.equal(r.status, 404);
+  assert.match((await r.json()).error, /Riot ID not found: Nobody#X/);
+  assert.equal(ACCOUNTS.has("euw1/nobody#x"), false);
+
+  // remembered for a while instead of being looked up again
+  assert.equal((await fetch(`${base}/widget/euw1/Nobody/X.json`)).status, 404);
+  assert.equal(ACCOUNTS.size, 1);
+});
+
+test("the admin API is off without ADMIN_TOKEN", async () => {
+  const r = await fetch(`${base}/admin/api/status`);
+  assert.equal(r.status, 503);
+});
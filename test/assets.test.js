@@ -0,0 +1,66 @@
+import { FIXTURES_DIR } from "./helpers.js";
+import fs from "node:fs";
+import path from "node:path";
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import { ASSET_CACHE_DIR, PLACEHOLDER_ICON } from "../src/config.js";
+import { createApp } from "../src/app.js";
+import { ddragonImagePath, ensureDdragonVersion } from "../src/ddragon.js";
+
+let server;
+let base;
+
+before(async () => {
+  server = createApp({ defaultAccount: null }).listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function image(url) {
+  const r = await fetch(`${base}${url}`);
+  assert.equal(r.status, 200);
+  assert.equal(r.headers.get("content-type"), "image/png");
+  return Buffer.from(await r.arrayBuffer());
+}
+
+function fixtureImage(...parts) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, "ddragon", "img", ...parts));
+}
+
+test("champion icons resolve by numeric ID and by name, and are cached on disk", async () => {
+  const ahri = fixtureImage("champion", "Ahri.png");
+  assert.deepEqual(await image("/assets/champion/103.png"), ahri);
+  assert.deepEqual(await image("/assets/champion/Ahri.png"), ahri);
+  assert.deepEqual(await image("/assets/champion/Wukong.png"), fixtureImage("champion", "MonkeyKing.png"));
+  assert.ok(fs.existsSync(path.join(ASSET_CACHE_DIR, "14.20.1", "champion", "Ahri.png")));
+});
+
+test("item, summoner spell and profile icons go through the same proxy", async () => {
+  assert.deepEqual(await image("/assets/item/3089.png"), fixtureImage("item", "3089.png"));
+  assert.deepEqual(await image("/assets/spell/4.png"), fixtureImage("spell", "SummonerFlash.png"));
+  assert.deepEqual(await image("/assets/profileicon/4568.png"), fixtureImage("profileicon", "4568.png"));
+});
+
+test("unknown or unavailable icons get the placeholder", async () => {
+  const placeholder = fs.readFileSync(PLACEHOLDER_ICON);
+  assert.deepEqual(await image("/assets/champion/999.png"), placeholder);
+  assert.deepEqual(await image("/assets/item/1.png"), placeholder);
+  assert.deepEqual(await image("/assets/spell/SummonerNope.png"), placeholder);
+
+  const r = await fetch(`${base}/assets/sticker/1.png`);
+  assert.equal(r.status, 404);
+});
+
+test("only icons in the DDragon manifests are asked from the CDN", async () => {
+  await ensureDdragonVersion();
+  assert.equal(ddragonImagePath("champion", "Wukong"), "champion/MonkeyKing.png");
+  assert.equal(ddragonImagePath("item", "3089"), "item/3089.png");
+  assert.equal(ddragonImagePath("profileicon", "4568"), "profileicon/4568.png");
+
+  assert.equal(ddragonImagePath("champion", "Zzzz"), null);
+  assert.equal(ddragonImagePath("item", "9999"), null);
+  assert.equal(ddragonImagePath("profileicon", "1"), null);
+  assert.equal(ddragonImagePath("spell", "SummonerNope"), null);
+});
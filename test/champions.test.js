@@ -0,0 +1,62 @@
+import { fixtureMatches, MOCK_PUUID } from "./helpers.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { extractParticipant } from "../src/aggregate.js";
+import { championStats, seasonStart } from "../src/champions.js";
+import { ensureDdragonVersion } from "../src/ddragon.js";
+import { backfillMatchStore, storedMatches } from "../src/matchStore.js";
+
+const parts = () => fixtureMatches().map((m) => extractParticipant(m, MOCK_PUUID));
+
+test("champion stats cover the ranked queue of the season, without remakes", async () => {
+  await ensureDdragonVersion();
+  const list = championStats(parts(), { queueId: 420, since: seasonStart() });
+
+  assert.deepEqual(
+    list.map((c) => [c.championName, c.games, c.wins, c.losses, c.winrate]),
+    [
+      ["Ahri", 3, 2, 1, 67],
+      ["Orianna", 2, 1, 1, 50],
+    ]
+  );
+  assert.equal(list[0].championIcon, "/assets/champion/Ahri.png");
+
+  const ahri = parts().filter((p) => p.championName === "Ahri");
+  const sum = (key) => ahri.reduce((s, p) => s + p[key], 0);
+  assert.equal(list[0].kda, ((sum("kills") + sum("assists")) / sum("deaths")).toFixed(1));
+  assert.equal(list[0].csPerMin, Math.round((sum("cs") / (sum("duration") / 60)) * 10) / 10);
+});
+
+test("champion stats respect the season start and group legacy matches by name", () => {
+  const later = Date.UTC(2026, 9, 1, 12);
+  assert.deepEqual(
+    championStats(parts(), { queueId: 420, since: later }).map((c) => c.games),
+    [2, 1]
+  );
+
+  const legacy = parts().map(({ championId, ...p }) => (p.championName === "Ahri" ? p : { ...p, championId }));
+  assert.equal(championStats(legacy, { queueId: 420, since: 0 })[0].games, 3);
+  assert.equal(championStats(parts(), { queueId: null, since: 0 }).length, 4);
+});
+
+test("the backfill pages older matches of the queue into the store", async () => {
+  const acc = {
+    platform: "euw1",
+    regional: "europe",
+    puuid: MOCK_PUUID,
+    store: { puuid: MOCK_PUUID, matches: new Map(), pending: [], backfill: null },
+  };
+  const startTime = Math.floor(seasonStart() / 1000);
+
+  assert.equal(await backfillMatchStore(acc, { queue: 420, startTime }), true);
+  assert.deepEqual(
+    storedMatches(acc.store).map((m) => m.matchId),
+    ["EUW1_7000000008", "EUW1_7000000007", "EUW1_7000000005", "EUW1_7000000004", "EUW1_7000000002", "EUW1_7000000001"]
+  );
+  assert.equal(acc.store.backfill.done, true);
+  assert.equal(await backfillMatchStore(acc, { queue: 420, startTime }), false);
+
+  // another queue or season start pages from the beginning
+  assert.equal(await backfillMatchStore(acc, { queue: 440, startTime }), true);
+  assert.equal(acc.store.matches.size, 7);
+});
@@ -0,0 +1,88 @@
+import "./helpers.js";
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import { createAccount, dropAccount } from "../src/accounts.js";
+import { createApp } from "../src/app.js";
+import { counter, histogram, renderMetrics } from "../src/metrics.js";
+
+const servers = [];
+const accounts = [];
+
+async function start(gameName) {
+  const acc = createAccount({ platform: "euw1", regional: "europe", gameName, tagLine: "TEST", pinned: true });
+  accounts.push(acc);
+  await acc.ready;
+  const server = createApp({ defaultAccount: acc }).listen(0);
+  servers.push(server);
+  await new Promise((resolve) => server.once("listening", resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+let healthy;
+let broken;
+
+before(async () => {
+  healthy = await start("MockPlayer");
+  broken = await start("Nobody"); // not in the fixtures: every refresh fails
+});
+
+after(() => {
+  accounts.forEach(dropAccount);
+  servers.forEach((s) => s.close());
+});
+
+test("/healthz lists refresh times for every account", async () => {
+  const r = await fetch(`${healthy}/healthz`);
+  assert.equal(r.status, 200);
+  const d = await r.json();
+  const ok = d.accounts.find((a) => a.key === "euw1/mockplayer#test");
+  const bad = d.accounts.find((a) => a.key === "euw1/nobody#test");
+  assert.equal(ok.ok, true);
+  assert.ok(ok.lastSuccessAt > 0);
+  assert.equal(ok.lastFailureAt, null);
+  assert.equal(bad.ok, false);
+  assert.equal(bad.lastSuccessAt, null);
+  assert.ok(bad.lastFailureAt > 0);
+  assert.match(bad.error, /HTTP 404/);
+});
+
+test("/readyz follows the default account", async () => {
+  assert.equal((await fetch(`${healthy}/readyz`)).status, 200);
+
+  const r = await fetch(`${broken}/readyz`);
+  assert.equal(r.status, 503);
+  assert.equal((await r.json()).reason, "no successful refresh yet");
+});
+
+test("the payload says since when the data is stale", async () => {
+  const d = await (await fetch(`${broken}/widget.json`)).json();
+  assert.equal(d.ok, false);
+  assert.equal(d.dataUpdatedAt, null);
+
+  const good = await (await fetch(`${healthy}/widget.json`)).json();
+  assert.ok(good.dataUpdatedAt > 0);
+});
+
+test("/metrics exposes Riot calls and refreshes", async () => {
+  const r = await fetch(`${healthy}/metrics`);
+  assert.match(r.headers.get("content-type"), /text\/plain; version=0\.0\.4/);
+  const text = await r.text();
+  assert.match(text, /^riot_requests_total\{method="league-v4\.entries-by-puuid",status="200"\} \d+$/m);
+  assert.match(text, /^riot_requests_total\{method="account-v1\.by-riot-id",status="404"\} \d+$/m);
+  assert.match(text, /^riot_request_duration_seconds_count\{method="match-v5\.match"\} 8$/m);
+  assert.match(text, /^widget_refresh_total\{result="failure"\} \d+$/m);
+  assert.match(text, /^widget_accounts 2$/m);
+});
+
+test("histograms are cumulative and labels are escaped", () => {
+  const h = histogram("test_seconds", "Test histogram.", [1, 5]);
+  h.observe({ path: 'a"b' }, 0.5);
+  h.observe({ path: 'a"b' }, 3);
+  counter("test_total", "Test counter.").inc();
+  const text = renderMetrics();
+  assert.match(text, /^test_seconds_bucket\{path="a\\"b",le="1"\} 1$/m);
+  assert.match(text, /^test_seconds_bucket\{path="a\\"b",le="5"\} 2$/m);
+  assert.match(text, /^test_seconds_bucket\{path="a\\"b",le="\+Inf"\} 2$/m);
+  assert.match(text, /^test_seconds_sum\{path="a\\"b"\} 3\.5$/m);
+  assert.match(text, /^test_total 1$/m);
+});
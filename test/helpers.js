@@ -0,0 +1,38 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+/*
+  Imported first by every test file: the config is read when src/config.js is
+  loaded, so the offline backend and a throwaway data directory are set up here.
+  Values are set explicitly (even empty ones) because dotenv never overrides them.
+*/
+Object.assign(process.env, {
+  RIOT_BACKEND: "mock",
+  RIOT_GAME_NAME: "MockPlayer",
+  RIOT_TAG_LINE: "TEST",
+  RIOT_PLATFORM_ROUTING: "euw1",
+  RIOT_REGIONAL_ROUTING: "europe",
+  RIOT_RANK_QUEUE: "RANKED_SOLO_5x5",
+  RIOT_SESSION_QUEUES: "420,440",
+  SESSION_MODE: "gap",
+  SESSION_GAP_MINUTES: "60",
+  SESSION_TIMEZONE: "UTC",
+  SEASON_START: "2026-01-01",
+  ADMIN_TOKEN: "",
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), "lol-widget-test-")),
+});
+
+process.on("exit", () => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+export const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "mock");
+export const MOCK_PUUID = "mock-puuid-0001";
+
+export function fixtureMatch(matchId) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, "matches", `${matchId}.json`), "utf8"));
+}
+
+export function fixtureMatches() {
+  return fs.readdirSync(path.join(FIXTURES_DIR, "matches")).map((f) => fixtureMatch(path.basename(f, ".json")));
+}
@@ -0,0 +1,42 @@
+import "./helpers.js";
+import fs from "node:fs";
+import path from "node:path";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { LOCALES_DIR } from "../src/config.js";
+import { loadLocale } from "../src/locale.js";
+import { resolveLayout } from "../src/layout.js";
+
+test("a locale is merged over English section by section", async () => {
+  const pl = await loadLocale("pl");
+  assert.equal(pl.htmlLang, "pl");
+  assert.equal(pl.tiers.EMERALD, "Szmaragd");
+  assert.equal(pl.messages.noData, "Brak danych");
+  // not in pl.json, filled in from en.json
+  assert.equal(pl.positions.JUNGLE, "JGL");
+  assert.equal(pl.divisions.IV, "IV");
+
+  assert.equal(await loadLocale("xx"), undefined);
+  assert.equal(await loadLocale("../package"), undefined);
+});
+
+test("every built-in locale only uses keys English has", () => {
+  const read = (file) => JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"));
+  const en = read("en.json");
+  for (const file of fs.readdirSync(LOCALES_DIR).filter((f) => f.endsWith(".json"))) {
+    for (const [section, values] of Object.entries(read(file))) {
+      assert.ok(section in en, `${file}: unknown section ${section}`);
+      if (typeof values !== "object") continue;
+      for (const key of Object.keys(values)) assert.ok(key in en[section], `${file}: unknown key ${section}.${key}`);
+    }
+  }
+});
+
+test("/widget?lang falls back to English with a warning", async () => {
+  const { layout, locale, warnings } = await resolveLayout({ lang: "xx" });
+  assert.equal(layout.lang, "en");
+  assert.equal(locale.tiers.EMERALD, "Emerald");
+  assert.deepEqual(warnings, ['unknown lang "xx"']);
+
+  assert.equal((await resolveLayout({ lang: "PL" })).locale.htmlLang, "pl");
+});
@@ -0,0 +1,53 @@
+import { MOCK_PUUID } from "./helpers.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ensureDdragonVersion } from "../src/ddragon.js";
+import { masterySummary } from "../src/mastery.js";
+
+const account = () => ({ platform: "euw1", regional: "europe", puuid: MOCK_PUUID });
+
+test("mastery lists the top champions by points with proxied icons", async () => {
+  await ensureDdragonVersion();
+  const m = await masterySummary(account(), {});
+
+  assert.equal(m.champions, 6);
+  assert.equal(m.totalPoints, 459887);
+  assert.deepEqual(
+    m.top.map((c) => [c.championName, c.level, c.points]),
+    [
+      ["Ahri", 7, 245312],
+      ["Orianna", 6, 98420],
+      ["Yasuo", 5, 61250],
+      ["Lux", 4, 32010],
+      ["Wukong", 3, 18775],
+    ]
+  );
+  assert.equal(m.top[0].championIcon, "/assets/champion/103.png");
+  assert.equal(m.current, null);
+});
+
+test("the current champion is the live one, else the last game's, also for legacy matches", async () => {
+  const acc = account();
+  const live = await masterySummary(acc, {
+    latestMatch: { matchId: "A", championId: 61 },
+    liveGame: { championId: 62 },
+  });
+  assert.deepEqual([live.current.championName, live.current.source], ["Wukong", "live"]);
+
+  const last = await masterySummary(acc, { latestMatch: { matchId: "A", championName: "MonkeyKing" } });
+  assert.deepEqual([last.current.championName, last.current.level, last.current.source], ["Wukong", 3, "last"]);
+
+  const unplayed = await masterySummary(acc, { latestMatch: { matchId: "A", championName: "Zed" } });
+  assert.equal(unplayed.current, null);
+});
+
+test("the mastery list is fetched again only after a new match", async () => {
+  const acc = account();
+  await masterySummary(acc, { latestMatch: { matchId: "A" } });
+  const first = acc.mastery;
+  await masterySummary(acc, { latestMatch: { matchId: "A" } });
+  assert.equal(acc.mastery, first);
+  await masterySummary(acc, { latestMatch: { matchId: "B" } });
+  assert.notEqual(acc.mastery, first);
+  assert.equal(acc.mastery.latestMatchId, "B");
+});
@@ -0,0 +1,62 @@
+import { MOCK_PUUID } from "./helpers.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  getAccountByRiotId,
+  getActiveGameByPuuid,
+  getLeagueEntriesByPuuid,
+  getMatch,
+  getMatchIdsByPuuid,
+} from "../src/riotApi.js";
+import { championKey, championNameById, ddragonImagePath, ensureDdragonVersion } from "../src/ddragon.js";
+
+const acc = { platform: "euw1", regional: "europe", gameName: "mockplayer", tagLine: "test" };
+
+test("account-v1 resolves the fixture Riot ID case-insensitively", async () => {
+  const account = await getAccountByRiotId(acc);
+  assert.equal(account.puuid, MOCK_PUUID);
+});
+
+test("unknown resources are 404s, like on the real API", async () => {
+  await assert.rejects(getAccountByRiotId({ ...acc, gameName: "Nobody" }), { status: 404 });
+  await assert.rejects(getMatch(acc, "EUW1_1"), { status: 404 });
+  await assert.rejects(getMatch(acc, "..%2Faccounts"), { status: 404 });
+});
+
+test("league-v4 entries come from the fixture", async () => {
+  const entries = await getLeagueEntriesByPuuid(acc, MOCK_PUUID);
+  assert.deepEqual(
+    entries.map((e) => e.queueType),
+    ["RANKED_SOLO_5x5", "RANKED_FLEX_SR"]
+  );
+  assert.deepEqual(await getLeagueEntriesByPuuid(acc, "someone-else"), []);
+});
+
+test("match-v5 ID lists are newest first and honour paging and startTime", async () => {
+  const all = await getMatchIdsByPuuid(acc, MOCK_PUUID, { count: 100 });
+  assert.equal(all.length, 8);
+  assert.equal(all[0], "EUW1_7000000008");
+
+  assert.deepEqual(await getMatchIdsByPuuid(acc, MOCK_PUUID, { start: 1, count: 2 }), [
+    "EUW1_7000000007",
+    "EUW1_7000000006",
+  ]);
+
+  const match = await getMatch(acc, "EUW1_7000000007");
+  const startTime = Math.floor(match.info.gameStartTimestamp / 1000) + 1;
+  assert.deepEqual(await getMatchIdsByPuuid(acc, MOCK_PUUID, { startTime }), ["EUW1_7000000008"]);
+});
+
+test("spectator-v5 reports not in game without a fixture", async () => {
+  assert.equal(await getActiveGameByPuuid(acc, MOCK_PUUID), null);
+});
+
+test("DDragon version and champion names load offline", async () => {
+  await ensureDdragonVersion();
+  assert.equal(championNameById(62), "MonkeyKing");
+  assert.equal(championKey("103"), "Ahri");
+  assert.equal(championKey("Wukong"), "MonkeyKing");
+  assert.equal(championKey("monkey king"), "MonkeyKing");
+  assert.equal(ddragonImagePath("spell", "4"), "spell/SummonerFlash.png");
+  assert.equal(ddragonImagePath("item", "../x"), null);
+});
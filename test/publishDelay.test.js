@@ -0,0 +1,80 @@
+import "./helpers.js";
+import test, { afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { widgetPayload } from "../src/payload.js";
+import { PUBLISH, bufferState } from "../src/publishDelay.js";
+import { sendWidgetText } from "../src/text.js";
+
+const MINUTE = 60 * 1000;
+
+// states fetched `minutesAgo` ago, oldest first, with the rank LP telling them apart
+function account(minutesAgo, liveGame = null) {
+  const now = Date.now();
+  const published = minutesAgo.map((m, i) => ({
+    at: now - m * MINUTE,
+    data: { rank: { tier: "EMERALD", division: "II", lp: 10 * i }, liveGame },
+  }));
+  const latest = published[published.length - 1];
+  return {
+    published,
+    cache: { data: latest?.data ?? null, error: null, updatedAt: now, lastSuccessAt: latest?.at ?? null },
+  };
+}
+
+afterEach(() => Object.assign(PUBLISH, { delayed: false, delayMinutes: 5 }));
+
+test("without the delay the payload is the live state", () => {
+  const p = widgetPayload(account([12, 6, 1]));
+  assert.equal(p.rank.lp, 20);
+  assert.equal(p.publishDelay, 0);
+});
+
+test("with the delay the payload is the newest state old enough", () => {
+  Object.assign(PUBLISH, { delayed: true, delayMinutes: 5 });
+  const acc = account([12, 6, 1]);
+  const p = widgetPayload(acc);
+  assert.equal(p.ok, true);
+  assert.equal(p.rank.lp, 10);
+  assert.equal(p.updatedAt, acc.published[1].at);
+  assert.equal(p.publishDelay, 5);
+
+  PUBLISH.delayMinutes = 10;
+  assert.equal(widgetPayload(acc).rank.lp, 0);
+});
+
+test("nothing is published until a state is old enough", () => {
+  Object.assign(PUBLISH, { delayed: true, delayMinutes: 5 });
+  const p = widgetPayload(account([3, 1]));
+  assert.equal(p.ok, false);
+  assert.equal(p.rank, undefined);
+  assert.equal(p.dataUpdatedAt, null);
+});
+
+test("a live game only shows once it has been running for the delay", () => {
+  Object.assign(PUBLISH, { delayed: true, delayMinutes: 5 });
+  const started = (m) => ({ championName: "Ahri", gameStart: Date.now() - m * MINUTE });
+  assert.equal(widgetPayload(account([6], started(7))).liveGame.championName, "Ahri");
+  assert.equal(widgetPayload(account([6], started(3))).liveGame, null);
+  // still loading, no start time yet
+  assert.equal(widgetPayload(account([6], { championName: "Ahri", gameStart: null })).liveGame, null);
+});
+
+test("the buffer only keeps what the longest delay can still serve", () => {
+  const acc = account([120, 90, 59, 30]);
+  bufferState(acc, { rank: { lp: 99 } });
+  assert.deepEqual(
+    acc.published.map((e) => Math.round((Date.now() - e.at) / MINUTE)),
+    [90, 59, 30, 0]
+  );
+});
+
+test("/widget.txt follows the delay", () => {
+  Object.assign(PUBLISH, { delayed: true, delayMinutes: 5 });
+  const text = (acc) => {
+    const res = { setHeader() {}, end: (body) => (res.body = body) };
+    sendWidgetText({ query: { template: "{rank.lp}LP", fallback: "-" } }, res, acc);
+    return res.body;
+  };
+  assert.equal(text(account([12, 6, 1])), "10LP");
+  assert.equal(text(account([1])), "-");
+});
@@ -0,0 +1,46 @@
+import "./helpers.js";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { rankProgress } from "../src/rankHistory.js";
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 9, 18, 12);
+
+const snap = (hours, tier, rank, lp, queue = "RANKED_SOLO_5x5") => ({ at: T0 + hours * HOUR, queue, tier, rank, lp });
+
+const SNAPSHOTS = [
+  snap(-30, "PLATINUM", "I", 60),
+  snap(-2, "PLATINUM", "I", 81),
+  snap(-1, "GOLD", "I", 40, "RANKED_FLEX_SR"),
+  snap(1, "EMERALD", "IV", 3),
+  snap(2, "PLATINUM", "I", 84),
+  snap(3, "EMERALD", "IV", 22),
+  snap(5, "EMERALD", "III", 0),
+];
+
+test("rank progress starts with the rank going into the range", () => {
+  const g = rankProgress(SNAPSHOTS, { queue: "RANKED_SOLO_5x5", since: T0, until: T0 + 4 * HOUR });
+  assert.deepEqual(
+    g.points.map((p) => [p.at, p.lp, p.display]),
+    [
+      [T0, 1981, "PLATINUM I"],
+      [T0 + HOUR, 2003, "EMERALD IV"],
+      [T0 + 2 * HOUR, 1984, "PLATINUM I"],
+      [T0 + 3 * HOUR, 2022, "EMERALD IV"],
+    ]
+  );
+  assert.deepEqual([g.min, g.max, g.change], [1981, 2022, 41]);
+  assert.deepEqual(g.tiers, [{ tier: "EMERALD", lp: 2000 }]);
+});
+
+test("rank progress of an empty range or another queue", () => {
+  const empty = rankProgress(SNAPSHOTS, { queue: "RANKED_SOLO_5x5", since: T0 - 40 * HOUR, until: T0 - 35 * HOUR });
+  assert.deepEqual([empty.points, empty.change, empty.tiers], [[], null, []]);
+
+  const flex = rankProgress(SNAPSHOTS, { queue: "RANKED_FLEX_SR", since: T0, until: T0 + 10 * HOUR });
+  assert.deepEqual(
+    flex.points.map((p) => [p.at, p.display]),
+    [[T0, "GOLD I"]]
+  );
+  assert.equal(flex.change, 0);
+});
@@ -0,0 +1,25 @@
+import "./helpers.js";
+import fs from "node:fs";
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMatchStore, saveMatchStore } from "../src/matchStore.js";
+import { dataFile } from "../src/storage.js";
+
+test("Riot IDs that differ only in non-ASCII characters get their own files", () => {
+  const a = dataFile("matches", "kr/한국#kr1.json");
+  const b = dataFile("matches", "kr/일본#kr1.json");
+  assert.notEqual(a, b);
+  assert.equal(dataFile("matches", "kr/한국#kr1.json"), a);
+});
+
+test("a match store written for another account is not reused", async () => {
+  const owner = { key: "kr/한국#kr1", store: { puuid: "puuid-a", matches: new Map(), pending: [], backfill: null } };
+  await saveMatchStore(owner);
+  assert.equal((await loadMatchStore(owner)).puuid, "puuid-a");
+
+  const other = { key: "kr/일본#kr1" };
+  fs.copyFileSync(dataFile("matches", `${owner.key}.json`), dataFile("matches", `${other.key}.json`));
+  const store = await loadMatchStore(other);
+  assert.equal(store.puuid, null);
+  assert.equal(store.matches.size, 0);
+});
@@ -0,0 +1,176 @@
+import { fixtureMatches, MOCK_PUUID } from "./helpers.js";
+import http from "node:http";
+import test, { after, before, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { extractParticipant } from "../src/aggregate.js";
+import { ensureDdragonVersion } from "../src/ddragon.js";
+import { WEBHOOKS, deliverWebhooks, queueWebhooks, signWebhook } from "../src/webhooks.js";
+
+const parts = fixtureMatches()
+  .map((m) => extractParticipant(m, MOCK_PUUID))
+  .filter((p) => p.queueId !== 450)
+  .sort((a, b) => b.gameStart - a.gameStart);
+
+const rank = (division, lp) => ({
+  queue: "RANKED_SOLO_5x5",
+  tier: "EMERALD",
+  rank: division,
+  lp,
+  display: `EMERALD ${division}`,
+});
+
+let server;
+let base;
+let received;
+let replies;
+// while set, requests get no answer until the test ends them
+let hold = false;
+const held = [];
+
+before(async () => {
+  await ensureDdragonVersion();
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      if (hold) return held.push(res);
+      res.statusCode = replies.shift() ?? 204;
+      res.end();
+    });
+  });
+  server.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+let seq = 0;
+let acc;
+
+beforeEach(() => {
+  received = [];
+  replies = [];
+  WEBHOOKS.splice(0, WEBHOOKS.length);
+  acc = {
+    key: `euw1/webhooks#${++seq}`,
+    platform: "euw1",
+    gameName: "MockPlayer",
+    tagLine: "TEST",
+    ranks: { snapshots: [] },
+    webhooks: null,
+    webhookRun: null,
+    webhookSending: null,
+  };
+});
+
+test("new results and promotions go out signed, in each webhook's format", async () => {
+  WEBHOOKS.push(
+    {
+      name: "stats",
+      url: `${base}/stats`,
+      format: "json",
+      secret: "s3cret",
+      events: ["match_won", "division_promoted"],
+    },
+    { name: "discord", url: `${base}/discord`, format: "discord", secret: "", events: ["match_won"] }
+  );
+
+  // the first call only remembers where things stand
+  await queueWebhooks(acc, parts.slice(1), [rank("III", 90)]);
+  assert.equal(acc.webhooks.deliveries.length, 0);
+
+  await queueWebhooks(acc, parts, [rank("II", 10)]);
+  await deliverWebhooks(acc);
+  assert.deepEqual(
+    acc.webhooks.deliveries.map((d) => [d.webhook, d.event.type, d.status]),
+    [
+      ["stats", "match_won", "delivered"],
+      ["discord", "match_won", "delivered"],
+      ["stats", "division_promoted", "delivered"],
+    ]
+  );
+
+  const stats = received.find((r) => r.path === "/stats");
+  const json = JSON.parse(stats.body);
+  assert.equal(json.type, "match_won");
+  assert.equal(json.event.matchId, "EUW1_7000000008");
+  assert.equal(json.account.riotId, "MockPlayer#TEST");
+  assert.equal(stats.headers["x-webhook-id"], json.id);
+  assert.equal(
+    stats.headers["x-webhook-signature"],
+    signWebhook("s3cret", stats.headers["x-webhook-timestamp"], stats.body)
+  );
+
+  const discord = received.find((r) => r.path === "/discord");
+  const [embed] = JSON.parse(discord.body).embeds;
+  assert.equal(embed.title, "Victory as Orianna");
+  assert.equal(embed.description, "8/2/13");
+  assert.match(embed.thumbnail.url, /\/img\/champion\/Orianna\.png$/);
+  assert.equal(discord.headers["x-webhook-signature"], undefined);
+});
+
+test("the delivery log survives a restart without sending anything twice", async () => {
+  WEBHOOKS.push({ name: "stats", url: `${base}/stats`, format: "json", secret: "", events: ["match_won"] });
+  await queueWebhooks(acc, parts.slice(1), [rank("II", 10)]);
+  await queueWebhooks(acc, parts, [rank("II", 30)]);
+
+  // restart before the delivery went out
+  acc.webhooks = null;
+  await queueWebhooks(acc, parts, [rank("II", 30)]);
+  await deliverWebhooks(acc);
+  assert.equal(received.length, 1);
+
+  acc.webhooks = null;
+  await deliverWebhooks(acc);
+  assert.equal(received.length, 1);
+  assert.equal(acc.webhooks.deliveries[0].status, "delivered");
+});
+
+test("queueing does not wait for a webhook that is slow to answer", async () => {
+  WEBHOOKS.push({ name: "slow", url: `${base}/slow`, format: "json", secret: "", events: ["match_won", "match_lost"] });
+  await queueWebhooks(acc, parts.slice(2), [rank("II", 10)]);
+  await queueWebhooks(acc, parts.slice(1), [rank("II", 10)]);
+
+  hold = true;
+  const sending = deliverWebhooks(acc);
+  while (!held.length) await new Promise((resolve) => setTimeout(resolve, 10));
+
+  const started = Date.now();
+  await queueWebhooks(acc, parts, [rank("II", 10)]);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(acc.webhooks.deliveries.length, 2);
+
+  hold = false;
+  held.splice(0).forEach((res) => res.end());
+  await sending;
+  assert.equal(acc.webhooks.deliveries[0].status, "delivered");
+});
+
+test("server errors are retried with backoff, other client errors are not", async () => {
+  WEBHOOKS.push({
+    name: "stats",
+    url: `${base}/stats`,
+    format: "json",
+    secret: "",
+    events: ["match_won", "match_lost"],
+  });
+  await queueWebhooks(acc, parts.slice(2), [rank("II", 10)]);
+  await queueWebhooks(acc, parts, [rank("II", 10)]);
+
+  replies = [503, 400];
+  await deliverWebhooks(acc);
+  const [lost, won] = acc.webhooks.deliveries;
+  assert.deepEqual([lost.event.type, lost.status, lost.error], ["match_lost", "pending", "HTTP 503"]);
+  assert.ok(lost.nextAttemptAt > Date.now());
+  assert.deepEqual([won.event.type, won.status, won.error], ["match_won", "failed", "HTTP 400"]);
+
+  // not due yet
+  await deliverWebhooks(acc);
+  assert.equal(received.length, 2);
+
+  lost.nextAttemptAt = 0;
+  await deliverWebhooks(acc);
+  assert.deepEqual([lost.status, lost.attempts], ["delivered", 2]);
+});